@@ -1,54 +1,99 @@
-import React, { useState, useEffect } from 'react';
-import { Camera, Plus, ArrowLeft, X, Upload, MessageCircle, Trash2, Shield, Edit, ChevronDown } from 'lucide-react';
-
-const compressImage = (file, maxSize = 1200) => {
-  return new Promise((resolve) => {
-    const img = new Image();
-    const reader = new FileReader();
-
-    reader.onload = (e) => {
-      img.src = e.target.result;
-    };
-
-    img.onload = () => {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-
-      const scale = Math.min(maxSize / img.width, maxSize / img.height, 1);
-      canvas.width = img.width * scale;
-      canvas.height = img.height * scale;
-
-      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-
-      canvas.toBlob(
-        (blob) => {
-          resolve(new File([blob], file.name, { type: file.type }));
-        },
-        file.type,
-        0.7 // 품질 (0~1, 낮을수록 용량 작아짐)
-      );
-    };
-
-    reader.readAsDataURL(file);
-  });
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate, useNavigationType, useLocation, useMatch, useSearchParams } from 'react-router-dom';
+import { Camera, Plus, ArrowLeft, X, MessageCircle, Shield, Edit, ChevronDown, LogIn, LogOut, Users, Download, FileSpreadsheet, BarChart3, CalendarDays, Building2, CopyPlus, UserPlus, WifiOff, RefreshCw, HardDrive, Palette, Flag } from 'lucide-react';
+import {
+  supabaseClient,
+  RECORD_COLUMNS,
+  COMMENT_COLUMNS,
+  PARTICIPANT_COLUMNS,
+  INVALID_PASSWORD
+} from './supabase';
+import { formatDateKorean, localDateString } from './format';
+import ParticipantPicker from './ParticipantPicker';
+import RosterView from './RosterView';
+import CertificateView from './CertificateView';
+import { EXPORT_PRESETS, fetchAllRecords, exportRecords } from './exportRecords';
+import ImportWizard from './ImportWizard';
+import StorageCleanup from './StorageCleanup';
+import PhotoLightbox from './PhotoLightbox';
+import PhotoUploader from './PhotoUploader';
+import { validateRecordFields } from './recordValidation';
+import RecordFilters from './RecordFilters';
+import StatsView from './StatsView';
+import CalendarView from './CalendarView';
+import RecordTemplates from './RecordTemplates';
+import PlannedActivitiesView from './PlannedActivitiesView';
+import OrganizationsView from './OrganizationsView';
+import OrganizationPage from './OrganizationPage';
+import GoalProgress from './GoalProgress';
+import GroupSettings from './GroupSettings';
+import CommentItem from './CommentItem';
+import ReactionBar from './ReactionBar';
+import { loadReactions, toggleReaction, reactionKey } from './reactions';
+import ModerationQueue from './ModerationQueue';
+import { findBannedWord, commentBlockedMessage } from './moderation';
+import { getClientId } from './clientId';
+import { groupHomePath } from './groups';
+import { goalsForYear, goalProgress, reachedMilestone } from './goals';
+import { subscribeToFeed } from './realtime';
+import { deletePhotos, thumbnailUrl, photoSrcSet, isNetworkError } from './photos';
+import {
+  isLocalPhoto,
+  saveLocalPhoto,
+  getLocalPhoto,
+  deleteLocalPhoto,
+  listOutbox,
+  removeFromOutbox,
+  loadDraft,
+  saveDraft,
+  clearDraft
+} from './offlineStore';
+import { syncOutbox, addRecordToOutbox, needsPassword, setOutboxPassword } from './outbox';
+import {
+  EMPTY_FILTERS,
+  SORT_OPTIONS,
+  applyRecordFilters,
+  applyRecordSort,
+  hasActiveFilters,
+  filtersFromParams,
+  sortFromParams,
+  toSearchParams
+} from './searchQuery';
+
+// 경로별 화면 (/records/:id는 상세 화면)
+const VIEW_BY_PATH = {
+  '/': 'main',
+  '/roster': 'roster',
+  '/stats': 'stats',
+  '/calendar': 'calendar',
+  '/organizations': 'organizations',
+  '/planned': 'planned',
+  '/certificate': 'certificate'
 };
 
-
-// Supabase 설정
-const SUPABASE_URL = process.env.REACT_APP_SUPABASE_URL;
-const SUPABASE_ANON_KEY = process.env.REACT_APP_SUPABASE_ANON_KEY;
-const ADMIN_PASSWORD = process.env.REACT_APP_ADMIN_PASSWORD;
-
-import { createClient } from '@supabase/supabase-js';
-const supabaseClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
-
-const VolunteerRecordApp = () => {
+if (typeof window !== 'undefined' && 'scrollRestoration' in window.history) {
+  window.history.scrollRestoration = 'manual'; // 목록 스크롤 위치는 직접 복원
+}
+
+const VolunteerRecordApp = ({ group, groups, onGroupChange }) => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const navigationType = useNavigationType();
+  const recordMatch = useMatch('/records/:id');
+  const organizationMatch = useMatch('/organizations/:id');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const routeRecordId = recordMatch ? Number(recordMatch.params.id) : null;
+  const currentView = routeRecordId
+    ? 'detail'
+    : organizationMatch ? 'organization' : VIEW_BY_PATH[location.pathname] || 'main';
+  const listScrollRef = useRef(0);
   const [records, setRecords] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [initialLoaded, setInitialLoaded] = useState(false);
   const [hasMore, setHasMore] = useState(true);
   const [page, setPage] = useState(0);
   const ITEMS_PER_PAGE = 9;
-  const [currentView, setCurrentView] = useState('main');
+  const COMMENTS_PER_PAGE = 20;
   const [selectedRecord, setSelectedRecord] = useState(null);
   const [showModal, setShowModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
@@ -57,77 +102,425 @@ const VolunteerRecordApp = () => {
   const [deleteTarget, setDeleteTarget] = useState(null);
   const [editTarget, setEditTarget] = useState(null);
   const [selectedPhotos, setSelectedPhotos] = useState([]);
-  const [adminPassword, setAdminPassword] = useState('');
+  const [session, setSession] = useState(null);
+  const [isAdmin, setIsAdmin] = useState(false); // 이 그룹의 관리자
+  const [isSuperAdmin, setIsSuperAdmin] = useState(false); // 전체 관리자 (기관 목록·확인서 양식·저장공간)
+  const [showGroupSettings, setShowGroupSettings] = useState(false);
+  const [showModerationQueue, setShowModerationQueue] = useState(false);
+  const [showLoginModal, setShowLoginModal] = useState(false);
+  const [loginForm, setLoginForm] = useState({ email: '', password: '' });
   const [commentToDelete, setCommentToDelete] = useState(null);
   const [commentPassword, setCommentPassword] = useState('');
   const [editPassword, setEditPassword] = useState('');
   const [newComment, setNewComment] = useState({ nickname: '', password: '', content: '' });
-  const [sortOrder, setSortOrder] = useState('newest');
+  const [comments, setComments] = useState([]);
+  const [commentsPage, setCommentsPage] = useState(0);
+  const [commentsHasMore, setCommentsHasMore] = useState(false);
+  const [commentsLoading, setCommentsLoading] = useState(false);
+  const [reactions, setReactions] = useState({}); // 'record:12' / 'comment:34' → [{ emoji, count, mine }]
+  const [newRecordIds, setNewRecordIds] = useState([]);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [outboxEntries, setOutboxEntries] = useState([]);
+  const [localPhotoUrls, setLocalPhotoUrls] = useState({});
+  const [hasDraft, setHasDraft] = useState(false);
+  const ownRecordIdsRef = useRef(new Set());
+  const feedHandlerRef = useRef(null);
+  const syncNowRef = useRef(null);
+  const [sortOrder, setSortOrder] = useState(() => sortFromParams(searchParams));
+  const [filters, setFilters] = useState(() => filtersFromParams(searchParams));
+  const [appliedFilters, setAppliedFilters] = useState(filters);
+  const loadRequestRef = useRef(0);
+  const syncedSearchRef = useRef(searchParams.toString()); // 마지막으로 조건과 맞춘 URL 검색어
+  const commentsRequestRef = useRef(0);
+  const [people, setPeople] = useState([]);
+  const [organizations, setOrganizations] = useState([]);
+  const [upcomingActivities, setUpcomingActivities] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [exportOptions, setExportOptions] = useState({ preset: '1365', format: 'xlsx', perParticipant: false });
+  const [exporting, setExporting] = useState(false);
+  const [showImportWizard, setShowImportWizard] = useState(false);
+  const [showStorageCleanup, setShowStorageCleanup] = useState(false);
+  const [lightbox, setLightbox] = useState(null); // { photos, index }
   const [formData, setFormData] = useState({
-    date: new Date().toISOString().split('T')[0],
+    date: localDateString(),
     name: '',
     organization: '',
     hours: '',
     location: '',
-    participants: '',
+    participantList: [],
     description: '',
     author_name: '',
     author_password: ''
   });
 
-  // 데이터 로드
+  // 관리자 로그인 상태 확인
   useEffect(() => {
-    const handleScroll = () => {
-      if (
-        window.innerHeight + window.scrollY >= document.body.offsetHeight - 200 &&
-        !loading &&
-        hasMore
-      ) {
-        setLoading(true); // ← 먼저 잠궈줌
-        setPage(prev => {
-          const next = prev + 1;
-          loadRecords(next, true); // append = true
-          return next;
-        });
-      }
-    }; // ← 여기서 handleScroll 닫아줘야 함!!!
-  
-    window.addEventListener('scroll', handleScroll);
-    return () => window.removeEventListener('scroll', handleScroll);
+    supabaseClient.auth.getSession().then(({ data }) => setSession(data.session));
+
+    const { data: { subscription } } = supabaseClient.auth.onAuthStateChange((_event, newSession) => {
+      setSession(newSession);
+    });
+    return () => subscription.unsubscribe();
   }, []);
 
-  // 👉 페이지 진입시 첫 9개 로드
+  // 관리자 여부는 DB의 admins / group_admins 테이블 기준 (RLS와 같은 기준)
   useEffect(() => {
-    loadRecords(0, false);
+    if (!session) {
+      setIsAdmin(false);
+      setIsSuperAdmin(false);
+      return;
+    }
+    supabaseClient.rpc('is_group_admin', { p_group_id: group.id }).then(({ data, error }) => {
+      if (error) {
+        console.error('관리자 확인 에러:', error);
+      }
+      setIsAdmin(!error && data === true);
+    });
+    supabaseClient.rpc('is_admin').then(({ data, error }) => {
+      if (error) {
+        console.error('관리자 확인 에러:', error);
+      }
+      setIsSuperAdmin(!error && data === true);
+    });
+  }, [session, group.id]);
+
+  // 검색어 입력 중에는 잠깐 기다렸다가 적용
+  useEffect(() => {
+    const timer = setTimeout(() => setAppliedFilters(filters), 300);
+    return () => clearTimeout(timer);
+  }, [filters]);
+
+  // 목록의 검색/정렬 조건을 URL에 반영 (뒤로 가기·링크 공유 시 그대로 복원)
+  // 뒤로/앞으로 가기로 다른 조건의 목록 URL에 오면 반대로 조건을 URL에 맞춤
+  useEffect(() => {
+    if (currentView !== 'main') return;
+    const current = searchParams.toString();
+    if (navigationType === 'POP' && current !== syncedSearchRef.current) {
+      syncedSearchRef.current = current;
+      const urlFilters = filtersFromParams(searchParams);
+      setFilters(urlFilters);
+      setAppliedFilters(urlFilters);
+      setSortOrder(sortFromParams(searchParams));
+      return;
+    }
+    const next = toSearchParams(appliedFilters, sortOrder);
+    syncedSearchRef.current = next.toString();
+    if (next.toString() !== current) {
+      setSearchParams(next, { replace: true });
+    }
+  }, [appliedFilters, sortOrder, currentView, navigationType, searchParams, setSearchParams]);
+
+  // 목록으로 돌아오면 떠날 때의 스크롤 위치 복원, 다른 화면은 맨 위부터
+  useEffect(() => {
+    const y = currentView === 'main' ? listScrollRef.current : 0;
+    requestAnimationFrame(() => window.scrollTo(0, y));
+  }, [currentView, routeRecordId]);
+
+  // 목록에 없는 기록도 ID로 불러와 상세 화면 열기
+  const loadRecordForRoute = useCallback(async (recordId) => {
+    const loaded = records.find(r => r.id === recordId);
+    if (loaded) {
+      setSelectedRecord(loaded);
+      return;
+    }
+
+    const { data: record, error } = await supabaseClient
+      .from('records')
+      .select(`${RECORD_COLUMNS}, ${PARTICIPANT_COLUMNS}`)
+      .eq('id', recordId)
+      .eq('group_id', group.id)
+      .single();
+    if (error) {
+      console.error('기록 불러오기 에러:', error);
+      alert('기록을 불러오지 못했습니다.');
+      navigate('/', { replace: true });
+      return;
+    }
+
+    setSelectedRecord({ ...record, participant_list: toParticipantList(record) });
+  }, [records, group.id, navigate]);
+
+  // /records/:id 로 들어오면 목록에 없는 기록도 불러옴
+  const selectedRecordId = selectedRecord?.id;
+  useEffect(() => {
+    if (routeRecordId && selectedRecordId !== routeRecordId) {
+      loadRecordForRoute(routeRecordId);
+    }
+  }, [routeRecordId, selectedRecordId, loadRecordForRoute]);
+
+  // 앱 안에서 이동할 때는 뒤로 가기가 가능하도록 표시
+  const goTo = (path) => {
+    if (currentView === 'main') listScrollRef.current = window.scrollY;
+    navigate(path, { state: { canGoBack: true } });
+  };
+
+  const goBack = () => {
+    if (location.state?.canGoBack) {
+      navigate(-1);
+    } else {
+      navigate('/');
+    }
+  };
+
+  const openRecord = (record) => {
+    setSelectedRecord(record);
+    goTo(`/records/${record.id}`);
+  };
+
+  // 오프라인 대기함: 앱 시작 시, 그리고 연결이 돌아오면 업로드 (업로드 함수는 ref로 최신 상태를 참조)
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncNowRef.current();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    refreshOutbox();
+    syncNowRef.current();
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
   }, []);
+
+  // 등록 모달이 열려 있는 동안 작성 내용 자동 저장
+  useEffect(() => {
+    if (showModal) {
+      saveDraft(formData, selectedPhotos);
+    }
+  }, [showModal, formData, selectedPhotos]);
+
+  const refreshOutbox = async () => {
+    try {
+      setOutboxEntries(await listOutbox());
+    } catch (error) {
+      console.error('대기함 불러오기 에러:', error);
+    }
+  };
+
+  const syncNow = async () => {
+    const synced = await syncOutbox(refreshOutbox);
+    if (synced > 0) {
+      loadRecords();
+      loadPeople();
+      loadOrganizations();
+    }
+  };
+  syncNowRef.current = syncNow;
+
+  // 다시 시도: 앱을 다시 열어 비밀번호를 모르는 기록은 비밀번호를 물어보고 업로드
+  const retryOutbox = async () => {
+    for (const entry of await listOutbox()) {
+      if (!needsPassword(entry)) continue;
+      const password = window.prompt(`'${entry.record.name}' 기록의 비밀번호를 입력해주세요.\n기록을 수정·삭제할 때 쓰는 비밀번호입니다.`, '');
+      if (password) setOutboxPassword(entry.id, password);
+    }
+    syncNow();
+  };
+
+  // 사진 파일을 지우지 못해도 하던 일은 계속하고 알리기만 함 (관리자가 저장공간 정리에서 다시 지울 수 있음)
+  const removePhotoFiles = async (urls) => {
+    if (!(await deletePhotos(urls))) {
+      alert('사진 파일 일부를 삭제하지 못했습니다. 관리자가 저장공간 정리에서 삭제할 수 있습니다.');
+    }
+  };
+
+  const discardOutboxEntry = async (entry) => {
+    if (!window.confirm(`'${entry.record.name}' 기록을 업로드하지 않고 삭제할까요?`)) return;
+    await Promise.all(entry.record.photos.filter(isLocalPhoto).map(deleteLocalPhoto));
+    await removePhotoFiles(entry.record.photos);
+    await removeFromOutbox(entry.id);
+    refreshOutbox();
+  };
+
+  // 아직 업로드 못 한 사진은 기기에 저장된 파일로 미리보기
+  const photoSrc = (photo) => (isLocalPhoto(photo) ? localPhotoUrls[photo] : thumbnailUrl(photo));
+
+  const loadLocalPhotoUrls = async (photos) => {
+    const urls = {};
+    for (const key of photos.filter(isLocalPhoto)) {
+      const file = await getLocalPhoto(key);
+      if (file) urls[key] = URL.createObjectURL(file);
+    }
+    setLocalPhotoUrls(prev => ({ ...prev, ...urls }));
+  };
+
+  // 등록 모달 열기: 저장해 둔 초안이 있으면 이어서 작성
+  const openAddModal = () => {
+    const draft = loadDraft();
+    if (draft) {
+      setFormData(prev => ({ ...prev, ...draft.formData, author_password: '' }));
+      setSelectedPhotos(draft.photos || []);
+      loadLocalPhotoUrls(draft.photos || []);
+    }
+    setHasDraft(!!draft);
+    setShowModal(true);
+  };
+
+  // 템플릿(또는 지난 기록)의 내용으로 폼 채우기. 날짜·사진·작성자 정보는 그대로 둠
+  const applyTemplate = (template) => {
+    setFormData(prev => ({
+      ...prev,
+      name: template.name || '',
+      organization: template.organization || '',
+      hours: template.hours != null ? template.hours.toString() : '',
+      location: template.location || '',
+      description: template.description || '',
+      participantList: (template.participant_list || []).map(p => ({
+        name: p.name,
+        hours: p.hours != null ? p.hours.toString() : ''
+      }))
+    }));
+  };
+
+  // 이 기록으로 새로 만들기: 날짜와 사진만 비우고 나머지는 그대로
+  const startFromRecord = (record) => {
+    if (loadDraft() && !window.confirm('작성 중인 초안이 있습니다. 초안 대신 이 기록 내용으로 새로 만들까요?')) return;
+    resetForm();
+    applyTemplate(record);
+    handleInputChange('author_name', record.author_name || '');
+    setHasDraft(false);
+    setShowModal(true);
+  };
+
+  // 초안 버리기: 아직 기록에 연결되지 않은 사진도 함께 삭제
+  const discardDraft = async () => {
+    const photos = selectedPhotos;
+    clearDraft();
+    setHasDraft(false);
+    resetForm();
+    await Promise.all(photos.filter(isLocalPhoto).map(deleteLocalPhoto));
+    await removePhotoFiles(photos);
+  };
+
+  const closeAddModal = () => {
+    if (selectedPhotos.length > 0 && !window.confirm('작성 중인 내용을 초안으로 남겨둘까요?\n취소를 누르면 올린 사진도 함께 삭제됩니다.')) {
+      discardDraft();
+    }
+    setShowModal(false);
+    resetForm();
+  };
+
+  // 수정 취소: 이번에 새로 올린 사진만 삭제 (원래 있던 사진은 그대로)
+  const closeEditModal = () => {
+    removePhotoFiles(selectedPhotos.filter(photo => !(editTarget.photos || []).includes(photo)));
+    setShowEditModal(false);
+    setEditTarget(null);
+    resetForm();
+  };
+
+  // 실시간 변경 구독 (핸들러는 ref로 최신 상태를 참조)
+  useEffect(() => subscribeToFeed((event, payload) => feedHandlerRef.current?.(event, payload)), []);
+
+  // 통계는 DB 집계 기준 (스크롤로 불러온 페이지 수와 무관)
+  const loadStats = useCallback(async () => {
+    const { data, error } = await supabaseClient.rpc('record_stats', { p_group_id: group.id });
+    if (error) {
+      console.error('통계 불러오기 에러:', error);
+      return;
+    }
+    setStats(data);
+  }, [group.id]);
+
+  // 연간 목표 (그룹의 goals)
+  const saveGoals = async (nextGoals) => {
+    const { error } = await supabaseClient.from('groups').update({ goals: nextGoals }).eq('id', group.id);
+
+    if (error) {
+      console.error('목표 저장 실패:', error);
+      alert('목표 저장에 실패했습니다.');
+      return false;
+    }
+    onGroupChange({ ...group, goals: nextGoals });
+    return true;
+  };
+
+  // 참석자 자동완성용 명단 (이 그룹 기록에 나온 사람)
+  const loadPeople = useCallback(async () => {
+    const { data, error } = await supabaseClient.rpc('person_totals', { p_group_id: group.id });
+    if (error) {
+      console.error('people 불러오기 에러:', error);
+      return;
+    }
+    setPeople((data || []).map(p => p.name).sort((a, b) => a.localeCompare(b)));
+  }, [group.id]);
+
+  // 메인 화면 상단의 가까운 예정된 활동 (신청 인원 포함)
+  const loadUpcomingActivities = useCallback(async () => {
+    const { data, error } = await supabaseClient
+      .from('planned_activities')
+      .select('id, date, name, organization, rsvps(count)')
+      .eq('group_id', group.id)
+      .is('record_id', null)
+      .gte('date', localDateString())
+      .order('date', { ascending: true })
+      .limit(3);
+    if (error) {
+      console.error('예정된 활동 불러오기 에러:', error);
+      return;
+    }
+    setUpcomingActivities(data || []);
+  }, [group.id]);
+
+  useEffect(() => {
+    if (currentView === 'main') loadUpcomingActivities();
+  }, [currentView, loadUpcomingActivities]);
+
+  // 기관/단체 입력 자동완성과 상세 화면의 기관 페이지 링크용
+  const loadOrganizations = async () => {
+    const { data, error } = await supabaseClient.from('organizations').select('id, name').order('name');
+    if (error) {
+      console.error('기관 목록 불러오기 에러:', error);
+      return;
+    }
+    setOrganizations(data || []);
+  };
+
+  // 👉 페이지 진입시(그룹이 바뀌면 다시) 명단 로드
+  useEffect(() => {
+    loadPeople();
+    loadOrganizations();
+  }, [loadPeople]);
+
+  // record_participants 관계 데이터를 화면용 목록으로 변환
+  const toParticipantList = (record) =>
+    (record.record_participants || [])
+      .filter(rp => rp.people)
+      .map(rp => ({ id: rp.people.id, name: rp.people.name, hours: rp.hours }));
   
-  const loadRecords = async (pageNum = 0, append = false) => {
+  const loadRecords = useCallback(async (pageNum = 0, append = false) => {
+    // 조건이 빠르게 바뀔 때 늦게 도착한 이전 응답은 무시
+    const requestId = ++loadRequestRef.current;
     try {
       setLoading(true);
+      setPage(pageNum);
+      if (!append) {
+        loadStats();
+        setNewRecordIds([]);
+      }
   
       const offset = pageNum * ITEMS_PER_PAGE;
-      // 1) records 테이블에서 9개씩 페이징 조회
-      const { data: recordsData, error: recordsError } = await supabaseClient
+      // 1) records 테이블에서 검색/필터 조건 + 정렬 기준으로 9개씩 페이징 조회
+      const query = supabaseClient
         .from('records')
-        .select('*')
-        .order('id', { ascending: false })
-        .range(offset, offset + ITEMS_PER_PAGE - 1);
-
+        .select(`${RECORD_COLUMNS}, ${PARTICIPANT_COLUMNS}`)
+        .eq('group_id', group.id);
+      const { data: recordsData, error: recordsError } = await applyRecordSort(
+        applyRecordFilters(query, appliedFilters),
+        sortOrder
+      ).range(offset, offset + ITEMS_PER_PAGE - 1);
+
+      if (requestId !== loadRequestRef.current) return;
       
       if (recordsError) {
         console.error('records 불러오기 에러:', recordsError);
         return;
       }
       
-      // 2) comments 테이블 전체 조회 (필요시 where 조건 달 수도 있음)
-      const { data: commentsData, error: commentsError } = await supabaseClient
-        .from('comments')
-        .select('*');
-      
-      if (commentsError) {
-        console.error('comments 불러오기 에러:', commentsError);
-        return;
-      }
+      // 2) 댓글 수는 records.comment_count 사용 (댓글 본문은 상세 화면에서만 로드)
 
      // ✅ 3) 마지막 페이지 체크
       if (!recordsData || recordsData.length < ITEMS_PER_PAGE) {
@@ -136,26 +529,199 @@ const VolunteerRecordApp = () => {
         setHasMore(true);
       }
       
-      // 4) 정렬 (created_at 또는 date 기준)
-      const sortedRecords = (recordsData || []).sort(
-        (a, b) => new Date(b.created_at || b.date) - new Date(a.created_at || a.date)
-      );
-      const recordsWithComments = sortedRecords.map(record => ({
+      // 4) 정렬은 쿼리에서 끝났으므로 받은 순서 그대로 사용
+      const pageRecords = (recordsData || []).map(record => ({
         ...record,
-        comments: commentsData.filter(comment => comment.record_id === record.id)
+        participant_list: toParticipantList(record)
       }));
   
       if (append) {
-        setRecords(prev => [...prev, ...recordsWithComments]);
+        setRecords(prev => [...prev, ...pageRecords]);
       } else {
-        setRecords(recordsWithComments);
+        setRecords(pageRecords);
       }
     } catch (error) {
       console.error('데이터 로드 실패:', error);
       alert('데이터를 불러오는데 실패했습니다.');
     } finally {
-      setLoading(false);
+      if (requestId === loadRequestRef.current) {
+        setLoading(false);
+        setInitialLoaded(true);
+      }
+    }
+  }, [group.id, appliedFilters, sortOrder, loadStats]);
+
+  // 👉 첫 9개 로드 + 조건/정렬이 바뀌면 처음부터 다시 로드
+  useEffect(() => {
+    loadRecords(0, false);
+  }, [loadRecords]);
+
+  // 데이터 로드 (무한 스크롤: 현재 필터 조건으로 다음 페이지)
+  useEffect(() => {
+    const handleScroll = () => {
+      if (
+        window.innerHeight + window.scrollY >= document.body.offsetHeight - 200 &&
+        !loading &&
+        hasMore
+      ) {
+        setLoading(true); // ← 먼저 잠궈줌
+        loadRecords(page + 1, true); // append = true
+      }
+    };
+  
+    window.addEventListener('scroll', handleScroll);
+    return () => window.removeEventListener('scroll', handleScroll);
+  }, [loading, hasMore, page, loadRecords]);
+
+  // 기록과 댓글들의 반응은 한 번에
+  const loadRecordReactions = useCallback(async (recordId) => {
+    try {
+      setReactions(await loadReactions(recordId));
+    } catch (error) {
+      console.error('반응 불러오기 에러:', error);
+    }
+  }, []);
+
+  const handleToggleReaction = async (target, emoji) => {
+    try {
+      const updated = await toggleReaction(target, emoji);
+      setReactions(prev => ({ ...prev, [reactionKey(target)]: updated }));
+    } catch (error) {
+      console.error('반응 남기기 실패:', error);
+      alert('반응을 남기지 못했습니다.');
+    }
+  };
+
+  const loadComments = useCallback(async (recordId, pageNum = 0, append = false) => {
+    // 다른 기록으로 빠르게 옮겨 갈 때 늦게 도착한 이전 기록의 댓글은 무시
+    const requestId = ++commentsRequestRef.current;
+    try {
+      setCommentsLoading(true);
+      if (!append) setComments([]);
+      const offset = pageNum * COMMENTS_PER_PAGE;
+      // 페이지는 최상위 댓글 기준으로 나누고, 답글은 그 페이지 댓글들에 달린 것을 모두 함께 불러옴
+      const { data: topLevel, error } = await supabaseClient
+        .from('comments')
+        .select(COMMENT_COLUMNS)
+        .eq('record_id', recordId)
+        .is('parent_id', null)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + COMMENTS_PER_PAGE - 1);
+
+      if (requestId !== commentsRequestRef.current) return;
+      if (error) {
+        console.error('comments 불러오기 에러:', error);
+        return;
+      }
+
+      let replies = [];
+      if (topLevel.length > 0) {
+        const { data: replyData, error: repliesError } = await supabaseClient
+          .from('comments')
+          .select(COMMENT_COLUMNS)
+          .in('parent_id', topLevel.map(c => c.id))
+          .order('created_at', { ascending: true })
+          .order('id', { ascending: true });
+        if (requestId !== commentsRequestRef.current) return;
+        if (repliesError) {
+          console.error('답글 불러오기 에러:', repliesError);
+          return;
+        }
+        replies = replyData;
+      }
+
+      const data = [...topLevel, ...replies];
+      setCommentsPage(pageNum);
+      setCommentsHasMore(topLevel.length === COMMENTS_PER_PAGE);
+      // 먼저 화면에 붙인 새 댓글이 다음 페이지에 다시 올 수 있음
+      setComments(prev => (append ? [...prev, ...data.filter(c => !prev.some(p => p.id === c.id))] : data));
+    } finally {
+      if (requestId === commentsRequestRef.current) setCommentsLoading(false);
+    }
+  }, []);
+
+  // 상세 화면을 열 때 해당 기록의 댓글만 페이지 단위로 로드
+  useEffect(() => {
+    if (currentView === 'detail' && selectedRecordId) {
+      loadComments(selectedRecordId, 0, false);
+      loadRecordReactions(selectedRecordId);
+    }
+  }, [currentView, selectedRecordId, loadComments, loadRecordReactions]);
+
+  const fetchRecordRow = async (recordId) => {
+    const { data, error } = await supabaseClient
+      .from('records')
+      .select(`${RECORD_COLUMNS}, ${PARTICIPANT_COLUMNS}`)
+      .eq('id', recordId)
+      .eq('group_id', group.id)
+      .maybeSingle();
+    if (error) {
+      console.error('기록 불러오기 에러:', error);
+      return null;
     }
+    return data && { ...data, participant_list: toParticipantList(data) };
+  };
+
+  // 다른 사람이 올린 변경 반영: 새 기록은 배너로 알리고, 나머지는 해당 항목만 갱신
+  feedHandlerRef.current = async (event, { table, id, record_id, group_id }) => {
+    if (group_id && group_id !== group.id) return; // 다른 그룹의 변경
+    if (table === 'records') {
+      if (event === 'INSERT') {
+        if (!ownRecordIdsRef.current.has(id)) {
+          setNewRecordIds(prev => (prev.includes(id) ? prev : [...prev, id]));
+        }
+        loadStats();
+      } else if (event === 'UPDATE') {
+        const row = await fetchRecordRow(id);
+        if (!row) return;
+        setRecords(prev => prev.map(r => (r.id === id ? { ...r, ...row } : r)));
+        setSelectedRecord(prev => (prev && prev.id === id ? { ...prev, ...row } : prev));
+      } else if (event === 'DELETE') {
+        setRecords(prev => prev.filter(r => r.id !== id));
+        setNewRecordIds(prev => prev.filter(newId => newId !== id));
+        if (currentView === 'detail' && selectedRecord?.id === id) {
+          navigate('/', { replace: true });
+        }
+        loadStats();
+      }
+      return;
+    }
+
+    // 댓글: 열려 있는 상세 화면에만 반영 (댓글 수는 records UPDATE로 갱신됨)
+    const isOpen = currentView === 'detail' && selectedRecord?.id === record_id;
+    if (event === 'DELETE') {
+      setComments(prev => prev.filter(c => c.id !== id));
+      loadStats();
+      return;
+    }
+    if (event === 'INSERT') loadStats();
+    if (!isOpen) return;
+
+    const { data: comment, error } = await supabaseClient
+      .from('comments')
+      .select(COMMENT_COLUMNS)
+      .eq('id', id)
+      .maybeSingle();
+    if (error || !comment) return;
+
+    setComments(prev => {
+      if (prev.some(c => c.id === id)) return prev.map(c => (c.id === id ? comment : c));
+      if (event !== 'INSERT') return prev;
+      // 답글은 원댓글이 보일 때, 새 댓글은 마지막 페이지까지 불러왔을 때만 (아직 안 불러온 페이지 뒤에 붙음)
+      const visible = comment.parent_id ? prev.some(c => c.id === comment.parent_id) : !commentsHasMore;
+      return visible ? [...prev, comment] : prev;
+    });
+  };
+
+  // 목록과 상세 화면의 댓글 수를 함께 맞춤
+  const changeCommentCount = (recordId, delta) => {
+    const apply = (record) =>
+      record.id === recordId
+        ? { ...record, comment_count: Math.max((record.comment_count || 0) + delta, 0) }
+        : record;
+    setRecords(prev => prev.map(apply));
+    setSelectedRecord(prev => (prev ? apply(prev) : prev));
   };
 
   const handleInputChange = (field, value) => {
@@ -166,54 +732,39 @@ const VolunteerRecordApp = () => {
     setNewComment(prev => ({ ...prev, [field]: value }));
   };
 
-  const handlePhotoUpload = async (event) => {
-    const files = Array.from(event.target.files);
-    const remainingSlots = 10 - selectedPhotos.length;
-    const filesToAdd = files.slice(0, remainingSlots);
-  
-    for (const file of filesToAdd) {
-      // 1) 압축
-      const compressed = await compressImage(file);
-  
-      // 2) Supabase Storage 업로드
-      const fileName = `${Date.now()}_${compressed.name}`;
-      const { error } = await supabaseClient
-        .storage
-        .from('volunteer-photos') // 👉 버킷 이름 (Supabase에서 만든 이름)
-        .upload(fileName, compressed);
-  
-      if (error) {
-        console.error('Upload error:', error);
-        continue;
-      }
-  
-      // 3) Public URL 가져오기
-      const { data } = supabaseClient
-        .storage
-        .from('volunteer-photos')
-        .getPublicUrl(fileName);
-  
-      // 4) URL을 state에 저장
-      setSelectedPhotos((prev) => [...prev, data.publicUrl]);
-    }
-  
-    if (files.length > remainingSlots) {
-      alert(`최대 10장까지만 업로드할 수 있습니다. ${filesToAdd.length}장이 추가되었습니다.`);
-    }
+  // 새 기록 작성 중 오프라인이면 사진을 기기에 보관 (기록과 함께 나중에 업로드)
+  const saveOfflinePhoto = async (file) => {
+    const key = await saveLocalPhoto(file);
+    setLocalPhotoUrls(prev => ({ ...prev, [key]: URL.createObjectURL(file) }));
+    return key;
+  };
+
+  const openFormLightbox = (index) => {
+    setLightbox({
+      photos: selectedPhotos.map(photo => (isLocalPhoto(photo) ? localPhotoUrls[photo] : photo)),
+      index
+    });
   };
 
   const removePhoto = (index) => {
+    const photo = selectedPhotos[index];
+    if (isLocalPhoto(photo)) {
+      deleteLocalPhoto(photo);
+    } else if (!editTarget?.photos?.includes(photo)) {
+      // 기존 기록의 사진은 수정을 저장할 때 지움 (취소하면 남아 있어야 하므로)
+      removePhotoFiles([photo]);
+    }
     setSelectedPhotos(prev => prev.filter((_, i) => i !== index));
   };
 
   const resetForm = () => {
     setFormData({
-      date: new Date().toISOString().split('T')[0],
+      date: localDateString(),
       name: '',
       organization: '',
       hours: '',
       location: '',
-      participants: '',
+      participantList: [],
       description: '',
       author_name: '',
       author_password: ''
@@ -221,30 +772,64 @@ const VolunteerRecordApp = () => {
     setSelectedPhotos([]);
   };
 
+  // 오프라인에서 만든 기록은 대기함에 넣고 연결되면 업로드
+  const queueRecord = async (newRecord) => {
+    await addRecordToOutbox(newRecord, formData.participantList);
+    clearDraft();
+    setShowModal(false);
+    resetForm();
+    await refreshOutbox();
+    alert('지금은 업로드할 수 없어 기록을 대기함에 저장했습니다. 연결되면 자동으로 업로드됩니다.');
+    if (navigator.onLine) syncNow();
+  };
+
   const addRecord = async () => {
     const { date, name, organization, hours, author_name, author_password } = formData;
     
-    if (!date || !name || !organization || !hours || !author_name || !author_password) {
-      alert('필수 항목을 모두 입력해주세요!');
+    const validationError = validateRecordFields(formData);
+    if (validationError || !author_name || !author_password) {
+      alert(validationError || '필수 항목을 모두 입력해주세요!');
       return;
     }
 
     try {
       const newRecord = {
+        group_id: group.id,
         date,
         name,
         organization,
         hours: parseFloat(hours),
         location: formData.location || null,
-        participants: formData.participants || null,
+        participants: formData.participantList.map(p => p.name).join(', ') || null,
         description: formData.description || null,
         author_name,
         author_password,
         photos: selectedPhotos
       };
 
-      await supabaseClient.from('records').insert([newRecord]);
+      if (!navigator.onLine || selectedPhotos.some(isLocalPhoto)) {
+        await queueRecord(newRecord);
+        return;
+      }
+
+      // 기록과 참석자 명단을 한 번에 저장 (명단 저장이 실패하면 기록도 남지 않음)
+      const { data: insertedId, error } = await supabaseClient.rpc('create_record', {
+        p_data: newRecord,
+        p_participants: formData.participantList
+      });
+      if (error) {
+        if (isNetworkError(error)) {
+          await queueRecord(newRecord);
+          return;
+        }
+        throw error;
+      }
+      ownRecordIdsRef.current.add(insertedId);
+
       await loadRecords(); // 데이터 새로고침
+      await loadPeople();
+      await loadOrganizations();
+      clearDraft();
       setShowModal(false);
       resetForm();
       alert('봉사활동 기록이 추가되었습니다!');
@@ -262,7 +847,10 @@ const VolunteerRecordApp = () => {
       organization: record.organization,
       hours: record.hours.toString(),
       location: record.location || '',
-      participants: record.participants || '',
+      participantList: (record.participant_list || []).map(p => ({
+        name: p.name,
+        hours: p.hours != null ? p.hours.toString() : ''
+      })),
       description: record.description || '',
       author_name: record.author_name,
       author_password: ''
@@ -273,15 +861,16 @@ const VolunteerRecordApp = () => {
   };
 
   const updateRecord = async () => {
-    if (editPassword !== editTarget.author_password) {
-      alert('비밀번호가 틀렸습니다.');
+    if (!editPassword) {
+      alert('비밀번호를 입력해주세요.');
       return;
     }
 
     const { date, name, organization, hours } = formData;
     
-    if (!date || !name || !organization || !hours) {
-      alert('필수 항목을 모두 입력해주세요!');
+    const validationError = validateRecordFields(formData);
+    if (validationError) {
+      alert(validationError);
       return;
     }
 
@@ -292,19 +881,39 @@ const VolunteerRecordApp = () => {
         organization,
         hours: parseFloat(hours),
         location: formData.location || null,
-        participants: formData.participants || null,
+        participants: formData.participantList.map(p => p.name).join(', ') || null,
         description: formData.description || null,
         photos: selectedPhotos
       };
 
-      await supabaseClient.from('records').update(updatedData).eq('id', editTarget.id);
+      // 비밀번호 확인, 수정, 참석자 명단 교체는 서버 함수에서 한 번에 처리
+      const { error } = await supabaseClient.rpc('update_record', {
+        p_id: editTarget.id,
+        p_password: editPassword,
+        p_data: updatedData,
+        p_participants: formData.participantList
+      });
+
+      if (error) {
+        if (error.code === INVALID_PASSWORD) {
+          alert('비밀번호가 틀렸습니다.');
+          return;
+        }
+        throw error;
+      }
+
+      // 수정하면서 뺀 사진 파일 삭제
+      await removePhotoFiles((editTarget.photos || []).filter(photo => !selectedPhotos.includes(photo)));
+
       await loadRecords(); // 데이터 새로고침
+      await loadPeople();
+      await loadOrganizations();
       
       setShowEditModal(false);
       setEditTarget(null);
       setEditPassword('');
       resetForm();
-      setCurrentView('main'); // 메인으로 돌아가기
+      goBack(); // 이전 화면으로 돌아가기
       alert('기록이 수정되었습니다!');
     } catch (error) {
       console.error('기록 수정 실패:', error);
@@ -312,67 +921,158 @@ const VolunteerRecordApp = () => {
     }
   };
 
+  const handleLoginChange = (field, value) => {
+    setLoginForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const login = async () => {
+    if (!loginForm.email.trim() || !loginForm.password) {
+      alert('이메일과 비밀번호를 입력해주세요.');
+      return;
+    }
+
+    const { error } = await supabaseClient.auth.signInWithPassword({
+      email: loginForm.email.trim(),
+      password: loginForm.password
+    });
+
+    if (error) {
+      console.error('로그인 실패:', error);
+      alert('로그인에 실패했습니다. 이메일과 비밀번호를 확인해주세요.');
+      return;
+    }
+
+    setShowLoginModal(false);
+    setLoginForm({ email: '', password: '' });
+  };
+
+  const logout = async () => {
+    await supabaseClient.auth.signOut();
+  };
+
   const openDeleteModal = (recordId) => {
     setDeleteTarget(recordId);
     setShowDeleteModal(true);
-    setAdminPassword('');
   };
 
   const deleteRecord = async () => {
-    if (adminPassword !== ADMIN_PASSWORD) {
-      alert('관리자 비밀번호가 틀렸습니다.');
+    if (!isAdmin) {
+      alert('관리자만 삭제할 수 있습니다.');
       return;
     }
     
     try {
-      // 관련 댓글도 함께 삭제
-      await supabaseClient.from('comments').delete().eq('record_id', deleteTarget);
-      await supabaseClient.from('records').delete().eq('id', deleteTarget);
+      const { data: target, error: photosError } = await supabaseClient
+        .from('records')
+        .select('photos')
+        .eq('id', deleteTarget)
+        .single();
+      if (photosError) throw photosError;
+
+      // 관련 댓글도 함께 삭제 (RLS에서 관리자 권한 확인)
+      const { error: commentsError } = await supabaseClient.from('comments').delete().eq('record_id', deleteTarget);
+      if (commentsError) throw commentsError;
+      const { error: recordError } = await supabaseClient.from('records').delete().eq('id', deleteTarget);
+      if (recordError) throw recordError;
+      const photosDeleted = await deletePhotos(target.photos || []);
       
       await loadRecords(); // 데이터 새로고침
       setShowDeleteModal(false);
       setDeleteTarget(null);
-      setAdminPassword('');
-      setCurrentView('main');
-      alert('기록이 삭제되었습니다.');
+      navigate('/', { replace: true });
+      alert(photosDeleted
+        ? '기록이 삭제되었습니다.'
+        : '기록은 삭제되었지만 사진 파일 일부를 삭제하지 못했습니다.\n전체 관리자가 저장공간 정리에서 삭제할 수 있습니다.');
     } catch (error) {
       console.error('기록 삭제 실패:', error);
       alert('기록 삭제에 실패했습니다.');
     }
   };
 
-  const addComment = async (recordId) => {
-    if (!newComment.nickname.trim() || !newComment.password.trim() || !newComment.content.trim()) {
+  // parentId가 있으면 그 댓글의 답글
+  const addComment = async (recordId, draft = newComment, parentId = null) => {
+    if (!draft.nickname.trim() || !draft.password.trim() || !draft.content.trim()) {
       alert('닉네임, 비밀번호, 댓글 내용을 모두 입력해주세요.');
-      return;
+      return false;
+    }
+    // 금지어는 서버에서도 막지만 먼저 알려줌
+    const bannedWord = findBannedWord(group.banned_words, `${draft.nickname} ${draft.content}`);
+    if (bannedWord) {
+      alert(`'${bannedWord}'은(는) 사용할 수 없는 단어입니다.`);
+      return false;
     }
 
     try {
       const comment = {
         record_id: recordId,
-        nickname: newComment.nickname.trim(),
-        password: newComment.password,
-        content: newComment.content.trim(),
-        timestamp: new Date().toLocaleString('ko-KR')
+        parent_id: parentId,
+        nickname: draft.nickname.trim(),
+        password: draft.password,
+        content: draft.content.trim(),
+        timestamp: new Date().toLocaleString('ko-KR'),
+        client_id: getClientId() // 연속 작성 제한용
       };
 
-      await supabaseClient.from('comments').insert([comment]);
-      await loadRecords(); // 데이터 새로고침
-      
-      // 선택된 기록 업데이트
-      const updatedRecord = records.find(r => r.id === recordId);
-      if (updatedRecord) {
-        setSelectedRecord({
-          ...updatedRecord,
-          comments: [...(updatedRecord.comments || []), { ...comment, id: Date.now() }]
-        });
+      // 저장된 행을 그대로 받아서 사용 (비밀번호 컬럼은 돌려받지 않음)
+      const { data: saved, error } = await supabaseClient
+        .from('comments')
+        .insert([comment])
+        .select(COMMENT_COLUMNS)
+        .single();
+      if (error) throw error;
+
+      // 마지막 페이지까지 불러온 상태면 목록 끝에 바로 추가 (답글은 원댓글 아래에 바로 보이도록 항상)
+      if (!commentsHasMore || parentId) {
+        setComments(prev => [...prev, saved]);
       }
+      changeCommentCount(recordId, 1);
+      loadStats();
 
-      setNewComment({ nickname: '', password: '', content: '' });
-      alert('댓글이 추가되었습니다!');
+      if (!parentId) setNewComment({ nickname: '', password: '', content: '' });
+      alert(parentId ? '답글이 추가되었습니다!' : '댓글이 추가되었습니다!');
+      return true;
     } catch (error) {
       console.error('댓글 추가 실패:', error);
-      alert('댓글 추가에 실패했습니다.');
+      alert(commentBlockedMessage(error) || '댓글 추가에 실패했습니다.');
+      return false;
+    }
+  };
+
+  // 댓글 수정: 작성할 때 쓴 비밀번호 확인 후 서버 함수로
+  const editComment = async (comment, password, content) => {
+    if (!password || !content.trim()) {
+      alert('비밀번호와 댓글 내용을 입력해주세요.');
+      return false;
+    }
+    const bannedWord = findBannedWord(group.banned_words, content);
+    if (bannedWord) {
+      alert(`'${bannedWord}'은(는) 사용할 수 없는 단어입니다.`);
+      return false;
+    }
+
+    try {
+      const { error } = await supabaseClient.rpc('update_comment', {
+        p_id: comment.id,
+        p_password: password,
+        p_content: content.trim()
+      });
+
+      if (error) {
+        if (error.code === INVALID_PASSWORD) {
+          alert('비밀번호가 틀렸습니다.');
+          return false;
+        }
+        throw error;
+      }
+
+      setComments(prev => prev.map(c => (
+        c.id === comment.id ? { ...c, content: content.trim(), edited_at: new Date().toISOString() } : c
+      )));
+      return true;
+    } catch (error) {
+      console.error('댓글 수정 실패:', error);
+      alert(commentBlockedMessage(error) || '댓글 수정에 실패했습니다.');
+      return false;
     }
   };
 
@@ -382,24 +1082,66 @@ const VolunteerRecordApp = () => {
     setCommentPassword('');
   };
 
+  // 신고는 브라우저마다 한 번. 사유는 선택
+  const reportComment = async (comment) => {
+    const reason = window.prompt('신고 사유를 입력해주세요. (선택)', '');
+    if (reason === null) return;
+
+    const { error } = await supabaseClient.rpc('report_comment', {
+      p_comment_id: comment.id,
+      p_reason: reason,
+      p_client_id: getClientId()
+    });
+    if (error) {
+      if (error.code === '23505') {
+        alert('이미 신고한 댓글입니다.');
+        return;
+      }
+      console.error('댓글 신고 실패:', error);
+      alert('신고에 실패했습니다.');
+      return;
+    }
+    alert('신고가 접수되었습니다. 관리자가 확인할 예정입니다.');
+  };
+
+  // 삭제된 댓글(과 cascade로 함께 지워진 답글)을 목록과 댓글 수에서 빼기
+  const dropComment = (commentId, recordId) => {
+    const replyCount = comments.filter(c => c.parent_id === commentId).length;
+    setComments(prev => prev.filter(c => c.id !== commentId && c.parent_id !== commentId));
+    changeCommentCount(recordId, -(1 + replyCount));
+    loadStats();
+  };
+
   const deleteComment = async () => {
-    if (commentPassword !== commentToDelete.password) {
-      alert('비밀번호가 틀렸습니다.');
+    if (!commentPassword && !isAdmin) {
+      alert('비밀번호를 입력해주세요.');
       return;
     }
 
     try {
-      await supabaseClient.from('comments').delete().eq('id', commentToDelete.id);
-      await loadRecords(); // 데이터 새로고침
-      
-      // 선택된 기록 업데이트
-      if (selectedRecord) {
-        setSelectedRecord(prev => ({
-          ...prev,
-          comments: prev.comments.filter(c => c.id !== commentToDelete.id)
-        }));
+      // 관리자는 비밀번호 없이 삭제 (RLS에서 그룹 관리자 확인)
+      const { data, error } = commentPassword
+        ? await supabaseClient.rpc('delete_comment', {
+            p_id: commentToDelete.id,
+            p_password: commentPassword
+          })
+        : await supabaseClient.from('comments').delete().eq('id', commentToDelete.id).select('id');
+
+      if (error) {
+        if (error.code === INVALID_PASSWORD) {
+          alert('비밀번호가 틀렸습니다.');
+          return;
+        }
+        throw error;
+      }
+      // RLS에 막히면 에러 없이 아무것도 지워지지 않음
+      if (!commentPassword && data.length === 0) {
+        alert('이 댓글을 삭제할 권한이 없습니다.');
+        return;
       }
 
+      dropComment(commentToDelete.id, commentToDelete.record_id);
+
       setShowCommentDeleteModal(false);
       setCommentToDelete(null);
       setCommentPassword('');
@@ -410,92 +1152,39 @@ const VolunteerRecordApp = () => {
     }
   };
 
-  const formatDateKorean = (dateString) => {
-    const date = new Date(dateString);
-    const year = date.getFullYear();
-    const month = date.getMonth() + 1;
-    const day = date.getDate();
-    return `${year}년 ${month}월 ${day}일`;
+  const handleExportOptionChange = (field, value) => {
+    setExportOptions(prev => ({ ...prev, [field]: value }));
   };
 
-  // 정렬된 기록 가져오기
-  const getSortedRecords = () => {
-    return [...records].sort((a, b) => {
-      if (sortOrder === 'newest') {
-        return new Date(b.date) - new Date(a.date);
-      } else {
-        return new Date(a.date) - new Date(b.date);
+  // 내보내기는 불러온 페이지가 아니라 DB 전체 기준 (현재 검색/필터 조건 적용)
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const allRecords = await fetchAllRecords(group.id, appliedFilters);
+      if (allRecords.length === 0) {
+        alert('내보낼 기록이 없습니다.');
+        return;
       }
-    });
+      exportRecords(allRecords, exportOptions);
+      setShowExportModal(false);
+    } catch (error) {
+      console.error('내보내기 실패:', error);
+      alert('내보내기에 실패했습니다.');
+    } finally {
+      setExporting(false);
+    }
   };
 
-  const totalHours = records.reduce((sum, record) => sum + (record.hours || 0), 0);
-  const totalComments = records.reduce((sum, record) => sum + (record.comments?.length || 0), 0);
-  const sortedRecords = getSortedRecords();
 
-  // Supabase 설정 확인
-  if (!SUPABASE_URL || !SUPABASE_ANON_KEY || SUPABASE_URL === 'YOUR_SUPABASE_URL' || SUPABASE_ANON_KEY === 'YOUR_SUPABASE_ANON_KEY') {
-    return (
-      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
-        <div className="bg-white rounded-xl shadow-lg p-8 max-w-2xl w-full">
-          <div className="text-center">
-            <h1 className="text-2xl font-bold text-gray-800 mb-4">🔧 Supabase 설정이 필요합니다</h1>
-            <div className="text-left bg-gray-100 p-4 rounded-lg mb-6">
-              <p className="font-semibold mb-2">1. Supabase 프로젝트 생성:</p>
-              <p className="text-sm text-gray-600 mb-4">
-                • <a href="https://supabase.com" target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">supabase.com</a>에서 새 프로젝트 생성<br/>
-                • 프로젝트 이름: volunteer-record
-              </p>
-              
-              <p className="font-semibold mb-2">2. 테이블 생성:</p>
-              <p className="text-sm text-gray-600 mb-4">
-                SQL Editor에서 아래 코드를 실행하세요:
-              </p>
-              <pre className="bg-black text-green-400 p-3 rounded text-xs overflow-x-auto mb-4">
-{`-- records 테이블
-CREATE TABLE records (
-  id BIGSERIAL PRIMARY KEY,
-  created_at TIMESTAMP DEFAULT NOW(),
-  date DATE,
-  name TEXT,
-  organization TEXT,
-  hours REAL,
-  location TEXT,
-  participants TEXT,
-  description TEXT,
-  author_name TEXT,
-  author_password TEXT,
-  photos TEXT[]
-);
-
--- comments 테이블  
-CREATE TABLE comments (
-  id BIGSERIAL PRIMARY KEY,
-  created_at TIMESTAMP DEFAULT NOW(),
-  record_id BIGINT REFERENCES records(id),
-  nickname TEXT,
-  password TEXT,
-  content TEXT,
-  timestamp TEXT
-);`}
-              </pre>
-              
-              <p className="font-semibold mb-2">3. 코드 수정:</p>
-              <p className="text-sm text-gray-600">
-                Settings → API에서 URL과 anon key를 복사해서<br/>
-                코드 상단의 SUPABASE_URL과 SUPABASE_ANON_KEY를 교체하세요.
-              </p>
-            </div>
-            <p className="text-sm text-gray-500">
-              설정 완료 후 페이지를 새로고침하세요! 🚀
-            </p>
-          </div>
-        </div>
-      </div>
-    );
-  }
+  // 올해 단체 목표 진행률 (통계 카드의 달성 단계 표시용)
+  const currentYear = new Date().getFullYear();
+  const currentYearHours = stats?.yearly?.find(y => y.year === currentYear)?.hours ?? 0;
+  const groupGoalHours = goalsForYear(group.goals, currentYear).group_hours;
+  const groupMilestone = groupGoalHours
+    ? reachedMilestone(goalProgress(currentYearHours, groupGoalHours, currentYear).percent)
+    : null;
 
-  if (loading) {
+  if (!initialLoaded) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-center">
@@ -512,66 +1201,288 @@ CREATE TABLE comments (
       <header className="bg-white border-b border-gray-200 sticky top-0 z-40 shadow-sm">
         <div className="max-w-4xl mx-auto px-5 py-4 flex justify-between items-center">
           <div className="flex items-center gap-3">
-            {currentView === 'detail' && (
+            {currentView !== 'main' && (
               <button
-                onClick={() => setCurrentView('main')}
+                onClick={goBack}
                 className="bg-gray-100 hover:bg-gray-200 text-gray-700 p-2 rounded-lg transition-colors"
               >
                 <ArrowLeft size={18} />
               </button>
             )}
+            {group.logo_url && (
+              <img src={group.logo_url} alt="" className="w-10 h-10 rounded-lg object-cover flex-shrink-0" />
+            )}
             <div>
               <h1 className="text-lg md:text-xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
-                [매월 1회] 소중한 봉사 기록장🥰
+                {group.title || group.name}
               </h1>
-              <p className="text-xs text-gray-500 mt-1">
-                주최자는 진행한 봉사 활동 기록을 남겨주시고<br/>
-                참석자는 해당 기록에 댓글로 간단한 후기/소감을 남겨주세요
-              </p>
+              {group.subtitle && (
+                <p className="text-xs text-gray-500 mt-1 whitespace-pre-line">{group.subtitle}</p>
+              )}
             </div>
           </div>
+          <div className="flex flex-col items-end gap-2">
+            {groups.length > 1 && (
+              <select
+                value={group.slug}
+                onChange={(e) => window.location.assign(groupHomePath(e.target.value))}
+                aria-label="그룹 선택"
+                className="text-xs border border-gray-200 rounded-lg px-2 py-1 text-gray-700 max-w-[8rem]"
+              >
+                {groups.map(g => (
+                  <option key={g.id} value={g.slug}>{g.name}</option>
+                ))}
+              </select>
+            )}
+            {isAdmin && (
+              <button
+                onClick={() => setShowGroupSettings(true)}
+                className="text-gray-500 hover:text-gray-700 flex items-center gap-1 text-xs whitespace-nowrap"
+              >
+                <Palette size={14} />
+                그룹 설정
+              </button>
+            )}
+            {session ? (
+              <button
+                onClick={logout}
+                className="text-gray-500 hover:text-gray-700 flex items-center gap-1 text-xs whitespace-nowrap"
+              >
+                <LogOut size={14} />
+                {isAdmin ? '관리자 로그아웃' : '로그아웃'}
+              </button>
+            ) : (
+              <button
+                onClick={() => setShowLoginModal(true)}
+                className="text-gray-400 hover:text-gray-600 flex items-center gap-1 text-xs whitespace-nowrap"
+              >
+                <LogIn size={14} />
+                관리자
+              </button>
+            )}
+          </div>
         </div>
       </header>
 
+      {!isOnline && (
+        <div className="bg-gray-800 text-white text-sm text-center py-2 px-4 flex items-center justify-center gap-2">
+          <WifiOff size={16} />
+          오프라인 — 본 적 있는 기록만 볼 수 있어요. 새 기록은 연결되면 업로드됩니다.
+        </div>
+      )}
+
       {/* 메인 뷰 */}
       {currentView === 'main' && (
         <div className="max-w-4xl mx-auto p-5">
+          {/* 새 기록 알림 (목록이 갑자기 밀리지 않도록 눌렀을 때만 반영) */}
+          {newRecordIds.length > 0 && (
+            <button
+              onClick={() => {
+                window.scrollTo(0, 0);
+                loadRecords(0, false);
+              }}
+              className="sticky top-24 z-30 mx-auto mb-4 block bg-blue-500 hover:bg-blue-600 text-white text-sm font-semibold px-4 py-2 rounded-full shadow-lg transition-colors"
+            >
+              새 기록 {newRecordIds.length}개
+            </button>
+          )}
+
+          {/* 업로드 대기함 */}
+          {outboxEntries.length > 0 && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4 mb-5">
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="font-semibold text-gray-800">업로드 대기 중인 기록 {outboxEntries.length}개</h3>
+                <button
+                  onClick={retryOutbox}
+                  disabled={!isOnline}
+                  className="text-sm text-blue-600 hover:text-blue-700 flex items-center gap-1 disabled:opacity-50"
+                >
+                  <RefreshCw size={14} />
+                  다시 시도
+                </button>
+              </div>
+              <ul className="space-y-1 text-sm">
+                {outboxEntries.map(entry => (
+                  <li key={entry.id} className="flex justify-between items-center gap-2">
+                    <span className="text-gray-700 truncate">
+                      {formatDateKorean(entry.record.date)} · {entry.record.name}
+                    </span>
+                    <span className="flex items-center gap-2 shrink-0">
+                      <span className={entry.status === 'failed' ? 'text-red-500' : 'text-gray-500'} title={entry.error || ''}>
+                        {entry.status === 'syncing'
+                          ? '업로드 중'
+                          : entry.status === 'failed'
+                            ? '실패'
+                            : entry.status === 'needs_password' ? '비밀번호 필요' : '대기 중'}
+                      </span>
+                      <button
+                        onClick={() => discardOutboxEntry(entry)}
+                        className="text-gray-400 hover:text-red-500"
+                      >
+                        <X size={14} />
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* 예정된 활동 */}
+          {upcomingActivities.length > 0 && (
+            <div className="bg-white rounded-xl shadow-sm p-5 mb-5">
+              <div className="flex justify-between items-center mb-3">
+                <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+                  <CalendarDays size={18} className="text-blue-500" />
+                  예정된 활동
+                </h3>
+                <button onClick={() => goTo('/planned')} className="text-sm text-blue-600 hover:underline">
+                  전체 보기 · 신청하기
+                </button>
+              </div>
+              <ul className="space-y-2">
+                {upcomingActivities.map(activity => (
+                  <li key={activity.id}>
+                    <button
+                      onClick={() => goTo('/planned')}
+                      className="w-full flex justify-between items-center gap-3 text-left text-sm hover:bg-gray-50 rounded-lg px-2 py-1 transition-colors"
+                    >
+                      <span className="truncate">
+                        <span className="font-semibold text-blue-600">{formatDateKorean(activity.date)}</span>
+                        <span className="text-gray-700"> · {activity.name} ({activity.organization})</span>
+                      </span>
+                      <span className="text-gray-500 whitespace-nowrap">{activity.rsvps[0]?.count ?? 0}명 신청</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* 통계 섹션 */}
           <div className="bg-white rounded-xl shadow-sm p-6 mb-8 flex justify-center gap-8 md:gap-16">
             <div className="text-center">
-              <div className="text-3xl font-bold text-gray-800">{records.length}</div>
+              <div className="text-3xl font-bold text-gray-800">{stats?.record_count ?? '-'}</div>
               <div className="text-sm text-gray-500 mt-1 font-medium">게시글</div>
             </div>
             <div className="text-center">
-              <div className="text-3xl font-bold text-gray-800">{totalHours}</div>
+              <div className="text-3xl font-bold text-gray-800">{stats?.total_hours ?? '-'}</div>
               <div className="text-sm text-gray-500 mt-1 font-medium">총 봉사 시간</div>
+              {groupMilestone && (
+                <div className="text-xs text-purple-600 font-semibold mt-1">
+                  {groupMilestone === 100 ? '🎉 올해 목표 달성!' : `🎉 올해 목표 ${groupMilestone}% 돌파`}
+                </div>
+              )}
             </div>
             <div className="text-center">
-              <div className="text-3xl font-bold text-gray-800">{totalComments}</div>
+              <div className="text-3xl font-bold text-gray-800">{stats?.comment_count ?? '-'}</div>
               <div className="text-sm text-gray-500 mt-1 font-medium">후기 댓글</div>
             </div>
           </div>
 
+          {/* 연간 목표 */}
+          <GoalProgress
+            groupId={group.id}
+            goals={group.goals}
+            year={currentYear}
+            groupHours={currentYearHours}
+            isAdmin={isAdmin}
+            onSave={saveGoals}
+          />
+
           {/* 갤러리 */}
           <div className="bg-white rounded-xl shadow-sm overflow-hidden">
-            <div className="p-5 border-b border-gray-100 flex justify-between items-center">
-              <h2 className="text-xl font-semibold text-gray-800">봉사활동 기록</h2>
-              <div className="flex items-center gap-2">
+            <div className="p-5 border-b border-gray-100 flex justify-between items-center gap-3">
+              <h2 className="text-xl font-semibold text-gray-800 whitespace-nowrap">봉사활동 기록</h2>
+              <div className="flex flex-wrap items-center justify-end gap-2">
+                <button
+                  onClick={() => goTo('/roster')}
+                  className="bg-gray-100 hover:bg-gray-200 border border-gray-200 text-gray-700 px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 transition-colors whitespace-nowrap"
+                >
+                  <Users size={16} />
+                  <span>명단</span>
+                </button>
+                <button
+                  onClick={() => goTo('/planned')}
+                  className="bg-gray-100 hover:bg-gray-200 border border-gray-200 text-gray-700 px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 transition-colors whitespace-nowrap"
+                >
+                  <UserPlus size={16} />
+                  <span>예정</span>
+                </button>
+                <button
+                  onClick={() => goTo('/organizations')}
+                  className="bg-gray-100 hover:bg-gray-200 border border-gray-200 text-gray-700 px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 transition-colors whitespace-nowrap"
+                >
+                  <Building2 size={16} />
+                  <span>기관</span>
+                </button>
+                <button
+                  onClick={() => goTo('/calendar')}
+                  className="bg-gray-100 hover:bg-gray-200 border border-gray-200 text-gray-700 px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 transition-colors whitespace-nowrap"
+                >
+                  <CalendarDays size={16} />
+                  <span>달력</span>
+                </button>
+                <button
+                  onClick={() => goTo('/stats')}
+                  className="bg-gray-100 hover:bg-gray-200 border border-gray-200 text-gray-700 px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 transition-colors whitespace-nowrap"
+                >
+                  <BarChart3 size={16} />
+                  <span>통계</span>
+                </button>
+                <button
+                  onClick={() => setShowExportModal(true)}
+                  className="bg-gray-100 hover:bg-gray-200 border border-gray-200 text-gray-700 px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 transition-colors whitespace-nowrap"
+                >
+                  <Download size={16} />
+                  <span>내보내기</span>
+                </button>
+                {isAdmin && (
+                  <button
+                    onClick={() => setShowImportWizard(true)}
+                    className="bg-gray-100 hover:bg-gray-200 border border-gray-200 text-gray-700 px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 transition-colors whitespace-nowrap"
+                  >
+                    <FileSpreadsheet size={16} />
+                    <span>가져오기</span>
+                  </button>
+                )}
+                {isAdmin && (
+                  <button
+                    onClick={() => setShowModerationQueue(true)}
+                    className="bg-gray-100 hover:bg-gray-200 border border-gray-200 text-gray-700 px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 transition-colors whitespace-nowrap"
+                  >
+                    <Flag size={16} />
+                    <span>신고 관리</span>
+                  </button>
+                )}
+                {isSuperAdmin && (
+                  <button
+                    onClick={() => setShowStorageCleanup(true)}
+                    className="bg-gray-100 hover:bg-gray-200 border border-gray-200 text-gray-700 px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 transition-colors whitespace-nowrap"
+                  >
+                    <HardDrive size={16} />
+                    <span>저장공간 정리</span>
+                  </button>
+                )}
                 {records.length > 0 && (
                   <div className="relative">
                     <select
                       value={sortOrder}
-                      onChange={(e) => setSortOrder(e.target.value)}
+                      onChange={(e) => {
+                        window.scrollTo(0, 0);
+                        setSortOrder(e.target.value);
+                      }}
                       className="appearance-none bg-gray-100 border border-gray-200 rounded-lg px-3 py-2 pr-8 text-sm font-medium text-gray-700 hover:bg-gray-200 transition-colors cursor-pointer"
                     >
-                      <option value="newest">최신순</option>
-                      <option value="oldest">오래된 순</option>
+                      {Object.entries(SORT_OPTIONS).map(([key, option]) => (
+                        <option key={key} value={key}>{option.label}</option>
+                      ))}
                     </select>
                     <ChevronDown size={16} className="absolute right-2 top-1/2 transform -translate-y-1/2 text-gray-500 pointer-events-none" />
                   </div>
                 )}
                 <button
-                  onClick={() => setShowModal(true)}
+                  onClick={openAddModal}
                   className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white px-4 py-2 rounded-lg font-semibold flex items-center gap-1 shadow-lg hover:shadow-xl transition-all transform hover:-translate-y-0.5 whitespace-nowrap"
                 >
                   <Plus size={16} />
@@ -580,7 +1491,19 @@ CREATE TABLE comments (
               </div>
             </div>
             
-            {records.length === 0 ? (
+            <RecordFilters
+              filters={filters}
+              onChange={setFilters}
+              onReset={() => setFilters(EMPTY_FILTERS)}
+            />
+            
+            {records.length === 0 && hasActiveFilters(appliedFilters) ? (
+              <div className="p-16 text-center text-gray-500">
+                <Camera size={64} className="mx-auto mb-4 opacity-50" />
+                <p className="text-lg mb-2">조건에 맞는 기록이 없습니다</p>
+                <p className="text-sm">검색어나 필터를 바꿔보세요.</p>
+              </div>
+            ) : records.length === 0 ? (
               <div className="p-16 text-center text-gray-500">
                 <Camera size={64} className="mx-auto mb-4 opacity-50" />
                 <p className="text-lg mb-2">아직 봉사활동 기록이 없습니다</p>
@@ -588,19 +1511,17 @@ CREATE TABLE comments (
               </div>
             ) : (
               <div className="grid grid-cols-2 md:grid-cols-3 gap-1 p-1">
-                {sortedRecords.map(record => (
+                {records.map(record => (
                   <div
                     key={record.id}
-                    onClick={() => {
-                      setSelectedRecord(record);
-                      setCurrentView('detail');
-                    }}
+                    onClick={() => openRecord(record)}
                     className="aspect-square relative cursor-pointer hover:opacity-90 transition-opacity"
                   >
                     {record.photos && record.photos.length > 0 ? (
                       <img
-                        src={record.photos[0]}
+                        src={thumbnailUrl(record.photos[0])}
                         alt={record.name}
+                        loading="lazy"
                         className="w-full h-full object-cover"
                       />
                     ) : (
@@ -616,10 +1537,10 @@ CREATE TABLE comments (
                       <div className="text-white text-sm font-semibold line-clamp-1">
                         {record.name}
                       </div>
-                      {record.comments && record.comments.length > 0 && (
+                      {record.comment_count > 0 && (
                         <div className="flex items-center gap-1 mt-1">
                           <MessageCircle size={12} className="text-white opacity-80" />
-                          <span className="text-white text-xs opacity-80">{record.comments.length}</span>
+                          <span className="text-white text-xs opacity-80">{record.comment_count}</span>
                         </div>
                       )}
                     </div>
@@ -627,12 +1548,96 @@ CREATE TABLE comments (
                 ))}
               </div>
             )}
+
+            {loading && records.length > 0 && (
+              <div className="py-6 flex justify-center">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
+              </div>
+            )}
           </div>
         </div>
       )}
 
+      {/* 통계 */}
+      {currentView === 'stats' && (
+        <div className="max-w-4xl mx-auto p-5">
+          <StatsView stats={stats} />
+        </div>
+      )}
+
+      {/* 달력 */}
+      {currentView === 'calendar' && (
+        <div className="max-w-4xl mx-auto p-5">
+          <CalendarView
+            groupId={group.id}
+            month={searchParams.get('month')}
+            onMonthChange={(month) => setSearchParams({ month }, { replace: true })}
+            onSelectRecord={(recordId) => goTo(`/records/${recordId}`)}
+          />
+        </div>
+      )}
+
+      {/* 예정된 활동 */}
+      {currentView === 'planned' && (
+        <div className="max-w-4xl mx-auto p-5">
+          <PlannedActivitiesView
+            groupId={group.id}
+            isAdmin={isAdmin}
+            onOpenRecord={(recordId) => goTo(`/records/${recordId}`)}
+            onConverted={() => {
+              loadRecords();
+              loadPeople();
+            }}
+          />
+        </div>
+      )}
+
+      {/* 기관 목록 / 기관 페이지 */}
+      {currentView === 'organizations' && (
+        <div className="max-w-4xl mx-auto p-5">
+          <OrganizationsView
+            groupId={group.id}
+            isAdmin={isSuperAdmin}
+            onSelectOrganization={(organizationId) => goTo(`/organizations/${organizationId}`)}
+            onMerged={() => {
+              loadRecords();
+              loadOrganizations();
+            }}
+          />
+        </div>
+      )}
+
+      {currentView === 'organization' && (
+        <div className="max-w-4xl mx-auto p-5">
+          <OrganizationPage
+            organizationId={Number(organizationMatch.params.id)}
+            groupId={group.id}
+            isAdmin={isSuperAdmin}
+            onSelectRecord={(recordId) => goTo(`/records/${recordId}`)}
+          />
+        </div>
+      )}
+
+      {/* 봉사자 명단 */}
+      {currentView === 'roster' && (
+        <div className="max-w-4xl mx-auto p-5">
+          <RosterView
+            groupId={group.id}
+            onSelectRecord={(recordId) => goTo(`/records/${recordId}`)}
+            onIssueCertificate={(personId) => goTo(`/certificate?person=${personId}`)}
+          />
+        </div>
+      )}
+
+      {/* 봉사활동 확인서 */}
+      {currentView === 'certificate' && (
+        <div className="max-w-4xl mx-auto p-5">
+          <CertificateView groupId={group.id} isAdmin={isSuperAdmin} initialPersonId={searchParams.get('person')} />
+        </div>
+      )}
+
       {/* 상세 뷰 */}
-      {currentView === 'detail' && selectedRecord && (
+      {currentView === 'detail' && selectedRecord?.id === routeRecordId && (
         <div className="max-w-4xl mx-auto p-5">
           <div className="bg-white rounded-xl shadow-sm overflow-hidden">
             <div className="p-6 border-b border-gray-100">
@@ -642,7 +1647,14 @@ CREATE TABLE comments (
                   <p className="text-gray-600 text-lg mb-1">{formatDateKorean(selectedRecord.date)}</p>
                   <p className="text-sm text-gray-500">등록자: {selectedRecord.author_name}</p>
                 </div>
-                <div className="flex gap-2">
+                <div className="flex flex-wrap justify-end gap-2">
+                  <button
+                    onClick={() => startFromRecord(selectedRecord)}
+                    className="bg-gray-100 hover:bg-gray-200 text-gray-700 p-2 rounded-lg transition-colors flex items-center gap-2"
+                  >
+                    <CopyPlus size={16} />
+                    <span className="text-sm">이 기록으로 새로 만들기</span>
+                  </button>
                   <button
                     onClick={() => openEditModal(selectedRecord)}
                     className="bg-blue-500 hover:bg-blue-600 text-white p-2 rounded-lg transition-colors flex items-center gap-2"
@@ -650,13 +1662,15 @@ CREATE TABLE comments (
                     <Edit size={16} />
                     <span className="text-sm">수정</span>
                   </button>
-                  <button
-                    onClick={() => openDeleteModal(selectedRecord.id)}
-                    className="bg-red-500 hover:bg-red-600 text-white p-2 rounded-lg transition-colors flex items-center gap-2"
-                  >
-                    <Shield size={16} />
-                    <span className="text-sm">관리자 삭제</span>
-                  </button>
+                  {isAdmin && (
+                    <button
+                      onClick={() => openDeleteModal(selectedRecord.id)}
+                      className="bg-red-500 hover:bg-red-600 text-white p-2 rounded-lg transition-colors flex items-center gap-2"
+                    >
+                      <Shield size={16} />
+                      <span className="text-sm">관리자 삭제</span>
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
@@ -668,15 +1682,11 @@ CREATE TABLE comments (
                     <img
                       key={index}
                       src={photo}
+                      srcSet={photoSrcSet(photo)}
+                      sizes="(min-width: 768px) 320px, 100vw"
                       alt={`활동 사진 ${index + 1}`}
                       className="w-full aspect-square object-cover rounded-lg cursor-pointer hover:scale-105 transition-transform"
-                      onClick={() => {
-                        const modal = document.createElement('div');
-                        modal.className = 'fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4';
-                        modal.innerHTML = `<img src="${photo}" class="max-w-full max-h-full rounded-lg shadow-2xl">`;
-                        modal.onclick = () => document.body.removeChild(modal);
-                        document.body.appendChild(modal);
-                      }}
+                      onClick={() => setLightbox({ photos: selectedRecord.photos, index })}
                     />
                   ))}
                 </div>
@@ -687,7 +1697,16 @@ CREATE TABLE comments (
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div className="bg-gray-50 p-4 rounded-lg">
                   <div className="text-sm font-semibold text-gray-600 mb-1">기관/단체</div>
-                  <div className="text-gray-800">{selectedRecord.organization}</div>
+                  {organizations.some(o => o.name === selectedRecord.organization) ? (
+                    <button
+                      onClick={() => goTo(`/organizations/${organizations.find(o => o.name === selectedRecord.organization).id}`)}
+                      className="text-blue-600 hover:underline text-left"
+                    >
+                      {selectedRecord.organization}
+                    </button>
+                  ) : (
+                    <div className="text-gray-800">{selectedRecord.organization}</div>
+                  )}
                 </div>
                 <div className="bg-gray-50 p-4 rounded-lg">
                   <div className="text-sm font-semibold text-gray-600 mb-1">봉사 시간</div>
@@ -699,7 +1718,21 @@ CREATE TABLE comments (
                     <div className="text-gray-800">{selectedRecord.location}</div>
                   </div>
                 )}
-                {selectedRecord.participants && (
+                {selectedRecord.participant_list?.length > 0 ? (
+                  <div className="bg-gray-50 p-4 rounded-lg md:col-span-2">
+                    <div className="text-sm font-semibold text-gray-600 mb-2">참석자</div>
+                    <div className="flex flex-wrap gap-2">
+                      {selectedRecord.participant_list.map(p => (
+                        <span key={p.id} className="bg-white border border-gray-200 rounded-full px-3 py-1 text-sm text-gray-800">
+                          {p.name}
+                          {p.hours != null && p.hours !== selectedRecord.hours && (
+                            <span className="text-gray-500 ml-1">({p.hours}시간)</span>
+                          )}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                ) : selectedRecord.participants && (
                   <div className="bg-gray-50 p-4 rounded-lg md:col-span-2">
                     <div className="text-sm font-semibold text-gray-600 mb-1">참석자</div>
                     <div className="text-gray-800">{selectedRecord.participants}</div>
@@ -719,34 +1752,46 @@ CREATE TABLE comments (
 
             {/* 댓글 섹션 */}
             <div className="p-6">
+              <div className="mb-5">
+                <ReactionBar
+                  reactions={reactions[`record:${selectedRecord.id}`] || []}
+                  onToggle={(emoji) => handleToggleReaction({ record_id: selectedRecord.id }, emoji)}
+                />
+              </div>
               <div className="flex items-center gap-2 mb-4">
                 <MessageCircle size={20} className="text-gray-600" />
                 <h3 className="text-lg font-semibold text-gray-800">
-                  댓글 {selectedRecord.comments?.length || 0}개
+                  댓글 {selectedRecord.comment_count || 0}개
                 </h3>
               </div>
 
-              {/* 댓글 목록 */}
+              {/* 댓글 목록 (답글은 원댓글 아래에) */}
               <div className="space-y-4 mb-6">
-                {selectedRecord.comments?.map(comment => (
-                  <div key={comment.id} className="bg-gray-50 p-4 rounded-lg">
-                    <div className="flex justify-between items-start mb-2">
-                      <div className="flex items-center gap-2">
-                        <span className="font-semibold text-gray-800">{comment.nickname}</span>
-                        <span className="text-sm text-gray-500">{comment.timestamp}</span>
-                      </div>
-                      <button
-                        onClick={() => openCommentDeleteModal(comment)}
-                        className="text-gray-400 hover:text-red-500 transition-colors"
-                      >
-                        <Trash2 size={16} />
-                      </button>
-                    </div>
-                    <p className="text-gray-700 whitespace-pre-wrap">{comment.content}</p>
-                  </div>
-                )) || (
+                {comments.filter(comment => !comment.parent_id).map(comment => (
+                  <CommentItem
+                    key={comment.id}
+                    comment={comment}
+                    replies={comments.filter(reply => reply.parent_id === comment.id)}
+                    reactions={(key) => reactions[key] || []}
+                    onToggleReaction={handleToggleReaction}
+                    onReply={(parentId, draft) => addComment(selectedRecord.id, draft, parentId)}
+                    onEdit={editComment}
+                    onDelete={openCommentDeleteModal}
+                    onReport={reportComment}
+                  />
+                ))}
+                {comments.length === 0 && !commentsLoading && (
                   <p className="text-gray-500 text-center py-4">아직 댓글이 없습니다.</p>
                 )}
+                {commentsHasMore && (
+                  <button
+                    onClick={() => loadComments(selectedRecord.id, commentsPage + 1, true)}
+                    disabled={commentsLoading}
+                    className="w-full text-sm text-gray-600 hover:text-gray-800 py-2 transition-colors disabled:opacity-50"
+                  >
+                    {commentsLoading ? '불러오는 중...' : '댓글 더 보기'}
+                  </button>
+                )}
               </div>
 
               {/* 댓글 작성 */}
@@ -761,7 +1806,7 @@ CREATE TABLE comments (
                   />
                   <input
                     type="password"
-                    placeholder="비밀번호 (댓글 삭제시 필요)"
+                    placeholder="비밀번호 (댓글 수정·삭제시 필요)"
                     value={newComment.password}
                     onChange={(e) => handleCommentChange('password', e.target.value)}
                     className="p-3 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
@@ -791,12 +1836,17 @@ CREATE TABLE comments (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
           <div className="bg-white rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
             <div className="p-6 border-b border-gray-100 flex justify-between items-center">
-              <h2 className="text-xl font-semibold text-gray-800">새 봉사활동 기록</h2>
+              <div>
+                <h2 className="text-xl font-semibold text-gray-800">새 봉사활동 기록</h2>
+                {hasDraft && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    작성하던 내용을 불러왔습니다.{' '}
+                    <button onClick={discardDraft} className="text-red-500 hover:underline">초안 삭제</button>
+                  </p>
+                )}
+              </div>
               <button
-                onClick={() => {
-                  setShowModal(false);
-                  resetForm();
-                }}
+                onClick={closeAddModal}
                 className="text-gray-400 hover:text-gray-600 transition-colors"
               >
                 <X size={24} />
@@ -804,6 +1854,8 @@ CREATE TABLE comments (
             </div>
 
             <div className="p-6">
+              <RecordTemplates groupId={group.id} formData={formData} onApply={applyTemplate} isAdmin={isAdmin} />
+
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
                 <div>
                   <label className="block text-sm font-semibold text-gray-700 mb-2">등록자 *</label>
@@ -855,6 +1907,8 @@ CREATE TABLE comments (
                     value={formData.organization}
                     onChange={(e) => handleInputChange('organization', e.target.value)}
                     placeholder="예: 해피요양원"
+                    list="organization-options"
+                    autoComplete="off"
                     className="w-full p-3 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
                     required
                   />
@@ -882,14 +1936,13 @@ CREATE TABLE comments (
                     className="w-full p-3 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
                   />
                 </div>
-                <div>
+                <div className="md:col-span-2">
                   <label className="block text-sm font-semibold text-gray-700 mb-2">참석자</label>
-                  <input
-                    type="text"
-                    value={formData.participants}
-                    onChange={(e) => handleInputChange('participants', e.target.value)}
-                    placeholder="예: 홍길동, 김철수, 이영희"
-                    className="w-full p-3 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                  <ParticipantPicker
+                    value={formData.participantList}
+                    onChange={(list) => handleInputChange('participantList', list)}
+                    people={people}
+                    defaultHours={formData.hours}
                   />
                 </div>
               </div>
@@ -897,42 +1950,15 @@ CREATE TABLE comments (
               {/* 사진 업로드 */}
               <div className="mb-6">
                 <label className="block text-sm font-semibold text-gray-700 mb-2">활동 사진 (최대 10장)</label>
-                <div
-                  onClick={() => document.getElementById('photo-input').click()}
-                  className="border-2 border-dashed border-gray-300 hover:border-blue-500 rounded-lg p-8 text-center cursor-pointer transition-colors bg-gray-50 hover:bg-blue-50"
-                >
-                  <input
-                    id="photo-input"
-                    type="file"
-                    accept="image/*"
-                    multiple
-                    onChange={handlePhotoUpload}
-                    className="hidden"
-                  />
-                  <Upload size={40} className="mx-auto mb-4 text-gray-400" />
-                  <p className="text-gray-600 font-medium mb-2">사진을 업로드해주세요</p>
-                  <p className="text-sm text-gray-500">클릭하거나 드래그해서 업로드 (최대 10장)</p>
-                </div>
-                
-                {selectedPhotos.length > 0 && (
-                  <div className="grid grid-cols-5 gap-2 mt-4">
-                    {selectedPhotos.map((photo, index) => (
-                      <div key={index} className="relative aspect-square">
-                        <img
-                          src={photo}
-                          alt={`미리보기 ${index + 1}`}
-                          className="w-full h-full object-cover rounded-lg"
-                        />
-                        <button
-                          onClick={() => removePhoto(index)}
-                          className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-6 h-6 flex items-center justify-center text-sm hover:bg-red-600 transition-colors"
-                        >
-                          ×
-                        </button>
-                      </div>
-                    ))}
-                  </div>
-                )}
+                <PhotoUploader
+                  inputId="photo-input"
+                  photos={selectedPhotos}
+                  onChange={setSelectedPhotos}
+                  onRemove={removePhoto}
+                  onOpen={openFormLightbox}
+                  photoSrc={photoSrc}
+                  saveOffline={saveOfflinePhoto}
+                />
               </div>
 
               <div className="mb-6">
@@ -964,11 +1990,7 @@ CREATE TABLE comments (
             <div className="p-6 border-b border-gray-100 flex justify-between items-center">
               <h2 className="text-xl font-semibold text-gray-800">봉사활동 기록 수정</h2>
               <button
-                onClick={() => {
-                  setShowEditModal(false);
-                  setEditTarget(null);
-                  resetForm();
-                }}
+                onClick={closeEditModal}
                 className="text-gray-400 hover:text-gray-600 transition-colors"
               >
                 <X size={24} />
@@ -1017,6 +2039,8 @@ CREATE TABLE comments (
                     value={formData.organization}
                     onChange={(e) => handleInputChange('organization', e.target.value)}
                     placeholder="예: 해피요양원"
+                    list="organization-options"
+                    autoComplete="off"
                     className="w-full p-3 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
                     required
                   />
@@ -1044,14 +2068,13 @@ CREATE TABLE comments (
                     className="w-full p-3 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
                   />
                 </div>
-                <div>
+                <div className="md:col-span-2">
                   <label className="block text-sm font-semibold text-gray-700 mb-2">참석자</label>
-                  <input
-                    type="text"
-                    value={formData.participants}
-                    onChange={(e) => handleInputChange('participants', e.target.value)}
-                    placeholder="예: 홍길동, 김철수, 이영희"
-                    className="w-full p-3 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                  <ParticipantPicker
+                    value={formData.participantList}
+                    onChange={(list) => handleInputChange('participantList', list)}
+                    people={people}
+                    defaultHours={formData.hours}
                   />
                 </div>
               </div>
@@ -1059,42 +2082,14 @@ CREATE TABLE comments (
               {/* 사진 업로드 */}
               <div className="mb-6">
                 <label className="block text-sm font-semibold text-gray-700 mb-2">활동 사진 (최대 10장)</label>
-                <div
-                  onClick={() => document.getElementById('edit-photo-input').click()}
-                  className="border-2 border-dashed border-gray-300 hover:border-blue-500 rounded-lg p-8 text-center cursor-pointer transition-colors bg-gray-50 hover:bg-blue-50"
-                >
-                  <input
-                    id="edit-photo-input"
-                    type="file"
-                    accept="image/*"
-                    multiple
-                    onChange={handlePhotoUpload}
-                    className="hidden"
-                  />
-                  <Upload size={40} className="mx-auto mb-4 text-gray-400" />
-                  <p className="text-gray-600 font-medium mb-2">사진을 업로드해주세요</p>
-                  <p className="text-sm text-gray-500">클릭하거나 드래그해서 업로드 (최대 10장)</p>
-                </div>
-                
-                {selectedPhotos.length > 0 && (
-                  <div className="grid grid-cols-5 gap-2 mt-4">
-                    {selectedPhotos.map((photo, index) => (
-                      <div key={index} className="relative aspect-square">
-                        <img
-                          src={photo}
-                          alt={`미리보기 ${index + 1}`}
-                          className="w-full h-full object-cover rounded-lg"
-                        />
-                        <button
-                          onClick={() => removePhoto(index)}
-                          className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-6 h-6 flex items-center justify-center text-sm hover:bg-red-600 transition-colors"
-                        >
-                          ×
-                        </button>
-                      </div>
-                    ))}
-                  </div>
-                )}
+                <PhotoUploader
+                  inputId="edit-photo-input"
+                  photos={selectedPhotos}
+                  onChange={setSelectedPhotos}
+                  onRemove={removePhoto}
+                  onOpen={openFormLightbox}
+                  photoSrc={photoSrc}
+                />
               </div>
 
               <div className="mb-6">
@@ -1119,29 +2114,175 @@ CREATE TABLE comments (
         </div>
       )}
 
-      {/* 관리자 삭제 모달 */}
-      {showDeleteModal && (
+      {/* 내보내기 모달 */}
+      {showExportModal && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
           <div className="bg-white rounded-xl max-w-md w-full p-6">
             <div className="flex items-center gap-3 mb-4">
-              <Shield className="text-red-500" size={24} />
-              <h3 className="text-lg font-semibold text-gray-800">관리자 인증</h3>
+              <Download className="text-blue-500" size={24} />
+              <h3 className="text-lg font-semibold text-gray-800">기록 내보내기</h3>
+            </div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">양식</label>
+            <select
+              value={exportOptions.preset}
+              onChange={(e) => handleExportOptionChange('preset', e.target.value)}
+              className="w-full p-3 border border-gray-200 rounded-lg mb-3"
+            >
+              {Object.entries(EXPORT_PRESETS).map(([key, preset]) => (
+                <option key={key} value={key}>{preset.label}</option>
+              ))}
+            </select>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">파일 형식</label>
+            <select
+              value={exportOptions.format}
+              onChange={(e) => handleExportOptionChange('format', e.target.value)}
+              className="w-full p-3 border border-gray-200 rounded-lg mb-3"
+            >
+              <option value="xlsx">엑셀 (XLSX)</option>
+              <option value="csv">CSV</option>
+            </select>
+            <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+              <input
+                type="checkbox"
+                checked={exportOptions.perParticipant}
+                onChange={(e) => handleExportOptionChange('perParticipant', e.target.checked)}
+              />
+              참석자별로 한 줄씩 (개인 실적 등록용)
+            </label>
+            <div className="flex gap-3">
+              <button
+                onClick={() => setShowExportModal(false)}
+                className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 py-2 px-4 rounded-lg transition-colors"
+              >
+                취소
+              </button>
+              <button
+                onClick={handleExport}
+                disabled={exporting}
+                className="flex-1 bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg transition-colors disabled:opacity-50"
+              >
+                {exporting ? '내보내는 중...' : '내보내기'}
+              </button>
             </div>
-            <p className="text-gray-600 mb-4">기록을 삭제하려면 관리자 비밀번호를 입력해주세요.</p>
+          </div>
+        </div>
+      )}
+
+      {/* 일괄 가져오기 */}
+      {showImportWizard && (
+        <ImportWizard
+          groupId={group.id}
+          onClose={() => setShowImportWizard(false)}
+          onImported={() => {
+            loadRecords();
+            loadPeople();
+            loadOrganizations();
+          }}
+        />
+      )}
+
+      {/* 기관/단체 입력 자동완성 */}
+      <datalist id="organization-options">
+        {organizations.map(o => (
+          <option key={o.id} value={o.name} />
+        ))}
+      </datalist>
+
+      {/* 사진 크게 보기 */}
+      {lightbox && (
+        <PhotoLightbox
+          photos={lightbox.photos}
+          initialIndex={lightbox.index}
+          onClose={() => setLightbox(null)}
+        />
+      )}
+
+      {/* 저장공간 정리 (관리자) */}
+      {showStorageCleanup && (
+        <StorageCleanup onClose={() => setShowStorageCleanup(false)} />
+      )}
+
+      {/* 댓글 신고 관리 (그룹 관리자) */}
+      {showModerationQueue && (
+        <ModerationQueue
+          group={group}
+          onClose={() => setShowModerationQueue(false)}
+          onGroupChange={onGroupChange}
+          onOpenRecord={(recordId) => {
+            setShowModerationQueue(false);
+            goTo(`/records/${recordId}`);
+          }}
+          onRemoved={(item) => dropComment(item.comment_id, item.record_id)}
+        />
+      )}
+
+      {/* 그룹 설정 (그룹 관리자) */}
+      {showGroupSettings && (
+        <GroupSettings
+          group={group}
+          onClose={() => setShowGroupSettings(false)}
+          onSaved={onGroupChange}
+        />
+      )}
+
+      {/* 관리자 로그인 모달 */}
+      {showLoginModal && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-xl max-w-md w-full p-6">
+            <div className="flex items-center gap-3 mb-4">
+              <Shield className="text-blue-500" size={24} />
+              <h3 className="text-lg font-semibold text-gray-800">관리자 로그인</h3>
+            </div>
+            <input
+              type="email"
+              placeholder="이메일"
+              value={loginForm.email}
+              onChange={(e) => handleLoginChange('email', e.target.value)}
+              className="w-full p-3 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors mb-3"
+            />
             <input
               type="password"
-              placeholder="관리자 비밀번호"
-              value={adminPassword}
-              onChange={(e) => setAdminPassword(e.target.value)}
-              className="w-full p-3 border border-gray-200 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500 transition-colors mb-4"
-              onKeyPress={(e) => e.key === 'Enter' && deleteRecord()}
+              placeholder="비밀번호"
+              value={loginForm.password}
+              onChange={(e) => handleLoginChange('password', e.target.value)}
+              className="w-full p-3 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors mb-4"
+              onKeyPress={(e) => e.key === 'Enter' && login()}
             />
+            <div className="flex gap-3">
+              <button
+                onClick={() => {
+                  setShowLoginModal(false);
+                  setLoginForm({ email: '', password: '' });
+                }}
+                className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 py-2 px-4 rounded-lg transition-colors"
+              >
+                취소
+              </button>
+              <button
+                onClick={login}
+                className="flex-1 bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg transition-colors"
+              >
+                로그인
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* 관리자 삭제 모달 */}
+      {showDeleteModal && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-xl max-w-md w-full p-6">
+            <div className="flex items-center gap-3 mb-4">
+              <Shield className="text-red-500" size={24} />
+              <h3 className="text-lg font-semibold text-gray-800">기록 삭제</h3>
+            </div>
+            <p className="text-gray-600 mb-4">이 기록과 댓글을 모두 삭제할까요? 되돌릴 수 없습니다.</p>
             <div className="flex gap-3">
               <button
                 onClick={() => {
                   setShowDeleteModal(false);
                   setDeleteTarget(null);
-                  setAdminPassword('');
                 }}
                 className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 py-2 px-4 rounded-lg transition-colors"
               >
@@ -1166,7 +2307,11 @@ CREATE TABLE comments (
               <MessageCircle className="text-blue-500" size={24} />
               <h3 className="text-lg font-semibold text-gray-800">댓글 삭제</h3>
             </div>
-            <p className="text-gray-600 mb-4">댓글을 삭제하려면 작성시 입력한 비밀번호를 입력해주세요.</p>
+            <p className="text-gray-600 mb-4">
+              {isAdmin
+                ? '관리자는 비밀번호 없이 삭제할 수 있습니다. 답글도 함께 삭제됩니다.'
+                : '댓글을 삭제하려면 작성시 입력한 비밀번호를 입력해주세요.'}
+            </p>
             <input
               type="password"
               placeholder="댓글 비밀번호"
@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';
+import { CalendarDays, ChevronLeft, ChevronRight, Camera } from 'lucide-react';
+import { supabaseClient } from './supabase';
+import { formatDateKorean, localDateString } from './format';
+import { thumbnailUrl } from './photos';
+
+const WEEKDAYS = ['일', '월', '화', '수', '목', '금', '토'];
+const MAX_ITEMS_PER_DAY = 2;
+
+const pad = (n) => String(n).padStart(2, '0');
+const toDateKey = (year, month, day) => `${year}-${pad(month + 1)}-${pad(day)}`;
+
+// 'YYYY-MM' 형식이 아니면 이번 달
+const parseMonth = (value, thisMonth) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(value || thisMonth) || /^(\d{4})-(\d{2})$/.exec(thisMonth);
+  return { year: Number(match[1]), month: Number(match[2]) - 1 };
+};
+
+const shiftMonth = ({ year, month }, delta) => {
+  const date = new Date(year, month + delta, 1);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+};
+
+// 달력 보기: 보이는 달의 기록만 날짜 범위로 불러와서 날짜 칸에 표시
+const CalendarView = ({ groupId, month, onMonthChange, onSelectRecord }) => {
+  // 자정을 넘겨 열어두어도 오늘 표시가 맞도록 그릴 때마다 계산
+  const today = localDateString();
+  const thisMonth = today.slice(0, 7);
+  const { year, month: monthIndex } = parseMonth(month, thisMonth);
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedDay, setSelectedDay] = useState(null);
+
+  const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+  const firstWeekday = new Date(year, monthIndex, 1).getDay();
+  const from = toDateKey(year, monthIndex, 1);
+  const to = toDateKey(year, monthIndex, daysInMonth);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadMonth = async () => {
+      setLoading(true);
+      setSelectedDay(null);
+      const { data, error } = await supabaseClient
+        .from('records')
+        .select('id, date, name, organization, hours, photos')
+        .eq('group_id', groupId)
+        .gte('date', from)
+        .lte('date', to)
+        .order('date', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (cancelled) return;
+      if (error) {
+        console.error('달력 기록 불러오기 에러:', error);
+      }
+      setRecords(data || []);
+      setLoading(false);
+    };
+    loadMonth();
+    return () => {
+      cancelled = true;
+    };
+  }, [groupId, from, to]);
+
+  const recordsByDay = records.reduce((acc, record) => {
+    (acc[record.date] = acc[record.date] || []).push(record);
+    return acc;
+  }, {});
+  const monthHours = records.reduce((sum, record) => sum + (record.hours || 0), 0);
+  const dayRecords = selectedDay ? recordsByDay[selectedDay] || [] : [];
+
+  const cells = [
+    ...Array.from({ length: firstWeekday }, () => null),
+    ...Array.from({ length: daysInMonth }, (_, i) => i + 1)
+  ];
+
+  return (
+    <div className="space-y-5">
+      <div className="bg-white rounded-xl shadow-sm p-5">
+        <div className="flex justify-between items-center mb-4 gap-3">
+          <div className="flex items-center gap-2">
+            <CalendarDays size={20} className="text-gray-600" />
+            <h2 className="text-xl font-semibold text-gray-800">{year}년 {monthIndex + 1}월</h2>
+          </div>
+          <div className="flex items-center gap-1">
+            <button
+              onClick={() => onMonthChange(shiftMonth({ year, month: monthIndex }, -1))}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 p-2 rounded-lg transition-colors"
+              aria-label="이전 달"
+            >
+              <ChevronLeft size={18} />
+            </button>
+            <button
+              onClick={() => onMonthChange(thisMonth)}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              오늘
+            </button>
+            <button
+              onClick={() => onMonthChange(shiftMonth({ year, month: monthIndex }, 1))}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 p-2 rounded-lg transition-colors"
+              aria-label="다음 달"
+            >
+              <ChevronRight size={18} />
+            </button>
+          </div>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          {loading ? '불러오는 중...' : `이번 달 ${records.length}회 · 총 ${monthHours}시간`}
+        </p>
+
+        <div className="grid grid-cols-7 text-center text-xs font-semibold mb-1">
+          {WEEKDAYS.map((label, i) => (
+            <div key={label} className={i === 0 ? 'text-red-500' : i === 6 ? 'text-blue-500' : 'text-gray-500'}>
+              {label}
+            </div>
+          ))}
+        </div>
+        <div className="grid grid-cols-7 gap-px bg-gray-100 border border-gray-100 rounded-lg overflow-hidden">
+          {cells.map((day, i) => {
+            if (!day) return <div key={`empty-${i}`} className="bg-gray-50 min-h-[5rem]" />;
+
+            const key = toDateKey(year, monthIndex, day);
+            const items = recordsByDay[key] || [];
+            const weekday = i % 7;
+            return (
+              <button
+                key={key}
+                onClick={() => setSelectedDay(key)}
+                className={`bg-white min-h-[5rem] p-1 text-left align-top flex flex-col hover:bg-blue-50 transition-colors ${
+                  selectedDay === key ? 'ring-2 ring-inset ring-blue-500' : ''
+                }`}
+              >
+                <span
+                  className={`text-xs font-semibold mb-1 ${
+                    key === today
+                      ? 'bg-blue-500 text-white rounded-full w-5 h-5 flex items-center justify-center'
+                      : weekday === 0 ? 'text-red-500' : weekday === 6 ? 'text-blue-500' : 'text-gray-700'
+                  }`}
+                >
+                  {day}
+                </span>
+                {items.slice(0, MAX_ITEMS_PER_DAY).map(record => (
+                  <span key={record.id} className="block w-full text-[10px] leading-tight bg-purple-50 text-purple-700 rounded px-1 py-0.5 mb-0.5 truncate">
+                    {record.name} · {record.hours}h
+                  </span>
+                ))}
+                {items.length > MAX_ITEMS_PER_DAY && (
+                  <span className="text-[10px] text-gray-500">+{items.length - MAX_ITEMS_PER_DAY}</span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {selectedDay && (
+        <div className="bg-white rounded-xl shadow-sm p-5">
+          <h3 className="font-semibold text-gray-800 mb-3">{formatDateKorean(selectedDay)}</h3>
+          {dayRecords.length === 0 ? (
+            <p className="text-sm text-gray-500">이 날의 봉사 기록이 없습니다.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {dayRecords.map(record => (
+                <li key={record.id}>
+                  <button
+                    onClick={() => onSelectRecord(record.id)}
+                    className="w-full flex items-center gap-3 py-3 text-left hover:bg-gray-50 transition-colors"
+                  >
+                    {record.photos && record.photos.length > 0 ? (
+                      <img src={thumbnailUrl(record.photos[0])} alt={record.name} className="w-12 h-12 rounded-lg object-cover" />
+                    ) : (
+                      <div className="w-12 h-12 rounded-lg bg-gray-100 flex items-center justify-center">
+                        <Camera size={20} className="text-gray-400" />
+                      </div>
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <div className="font-medium text-gray-800 truncate">{record.name}</div>
+                      <div className="text-sm text-gray-500 truncate">{record.organization}</div>
+                    </div>
+                    <span className="text-sm text-gray-600 whitespace-nowrap">{record.hours}시간</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalendarView;
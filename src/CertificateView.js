@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react';
+import { FileText, Settings, Upload } from 'lucide-react';
+import { supabaseClient } from './supabase';
+import { formatDateKorean, localDateString } from './format';
+
+const DEFAULT_TEMPLATE = {
+  group_name: '',
+  signer_title: '대표',
+  signer_name: '',
+  seal_url: '',
+  note: '위 사람은 아래와 같이 봉사활동에 참여하였음을 확인합니다.'
+};
+
+// 봉사활동 확인서: 사람과 기간을 골라 인쇄용 양식으로 만들고 브라우저 인쇄(PDF 저장) 사용
+const CertificateView = ({ groupId, isAdmin, initialPersonId }) => {
+  // 화면을 오래 열어두어도 발급일이 바뀌도록 그릴 때마다 이 기기 기준 오늘로
+  const today = localDateString();
+  const [people, setPeople] = useState([]);
+  const [personId, setPersonId] = useState(initialPersonId || '');
+  const [from, setFrom] = useState(() => `${today.slice(0, 4)}-01-01`);
+  const [to, setTo] = useState(today);
+  const [items, setItems] = useState([]);
+  const [template, setTemplate] = useState(DEFAULT_TEMPLATE);
+  const [showTemplateEditor, setShowTemplateEditor] = useState(false);
+
+  useEffect(() => {
+    // 이 그룹 기록에 나온 사람만
+    supabaseClient.rpc('person_totals', { p_group_id: groupId }).then(({ data, error }) => {
+      if (error) {
+        console.error('people 불러오기 에러:', error);
+        return;
+      }
+      setPeople((data || [])
+        .map(person => ({ id: person.person_id, name: person.name }))
+        .sort((a, b) => a.name.localeCompare(b.name)));
+    });
+  }, [groupId]);
+
+  useEffect(() => {
+    supabaseClient.from('settings').select('value').eq('key', 'certificate').maybeSingle().then(({ data, error }) => {
+      if (error) {
+        console.error('확인서 양식 불러오기 에러:', error);
+        return;
+      }
+      if (data) setTemplate({ ...DEFAULT_TEMPLATE, ...data.value });
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!personId) {
+      setItems([]);
+      return;
+    }
+
+    const loadItems = async () => {
+      const { data, error } = await supabaseClient
+        .from('record_participants')
+        .select('hours, records!inner(id, date, name, organization, location, hours)')
+        .eq('person_id', personId)
+        .eq('records.group_id', groupId)
+        .gte('records.date', from)
+        .lte('records.date', to);
+
+      if (error) {
+        console.error('확인서 기록 불러오기 에러:', error);
+        return;
+      }
+
+      setItems(
+        (data || [])
+          .map(item => ({ ...item.records, hours: item.hours ?? item.records.hours }))
+          .sort((a, b) => new Date(a.date) - new Date(b.date))
+      );
+    };
+    loadItems();
+  }, [groupId, personId, from, to]);
+
+  const handleTemplateChange = (field, value) => {
+    setTemplate(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSealUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const fileName = `settings/seal_${Date.now()}_${file.name}`;
+    const { error } = await supabaseClient.storage.from('volunteer-photos').upload(fileName, file);
+    if (error) {
+      console.error('직인 업로드 에러:', error);
+      alert('직인 이미지 업로드에 실패했습니다.');
+      return;
+    }
+
+    const { data } = supabaseClient.storage.from('volunteer-photos').getPublicUrl(fileName);
+    handleTemplateChange('seal_url', data.publicUrl);
+  };
+
+  const saveTemplate = async () => {
+    const { error } = await supabaseClient
+      .from('settings')
+      .upsert({ key: 'certificate', value: template, updated_at: new Date().toISOString() });
+
+    if (error) {
+      console.error('확인서 양식 저장 실패:', error);
+      alert('양식 저장에 실패했습니다.');
+      return;
+    }
+    setShowTemplateEditor(false);
+    alert('확인서 양식이 저장되었습니다.');
+  };
+
+  const person = people.find(p => String(p.id) === String(personId));
+  const totalHours = items.reduce((sum, item) => sum + (item.hours || 0), 0);
+
+  return (
+    <div>
+      {/* 조건 선택 (인쇄 시 숨김) */}
+      <div className="bg-white rounded-xl shadow-sm p-5 mb-5 no-print">
+        <div className="flex justify-between items-center mb-4">
+          <div className="flex items-center gap-2">
+            <FileText size={20} className="text-gray-600" />
+            <h2 className="text-xl font-semibold text-gray-800">봉사활동 확인서</h2>
+          </div>
+          {isAdmin && (
+            <button
+              onClick={() => setShowTemplateEditor(prev => !prev)}
+              className="text-gray-500 hover:text-gray-700 flex items-center gap-1 text-sm"
+            >
+              <Settings size={16} />
+              양식 설정
+            </button>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+          <select
+            value={personId}
+            onChange={(e) => setPersonId(e.target.value)}
+            className="p-3 border border-gray-200 rounded-lg"
+          >
+            <option value="">봉사자 선택</option>
+            {people.map(p => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="p-3 border border-gray-200 rounded-lg" />
+          <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="p-3 border border-gray-200 rounded-lg" />
+        </div>
+
+        {showTemplateEditor && (
+          <div className="bg-gray-50 p-4 rounded-lg mb-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+            <input
+              type="text"
+              placeholder="단체 이름"
+              value={template.group_name}
+              onChange={(e) => handleTemplateChange('group_name', e.target.value)}
+              className="p-3 border border-gray-200 rounded-lg"
+            />
+            <div className="grid grid-cols-2 gap-2">
+              <input
+                type="text"
+                placeholder="직위 (예: 대표)"
+                value={template.signer_title}
+                onChange={(e) => handleTemplateChange('signer_title', e.target.value)}
+                className="p-3 border border-gray-200 rounded-lg"
+              />
+              <input
+                type="text"
+                placeholder="확인자 이름"
+                value={template.signer_name}
+                onChange={(e) => handleTemplateChange('signer_name', e.target.value)}
+                className="p-3 border border-gray-200 rounded-lg"
+              />
+            </div>
+            <textarea
+              placeholder="확인 문구"
+              value={template.note}
+              onChange={(e) => handleTemplateChange('note', e.target.value)}
+              rows={2}
+              className="p-3 border border-gray-200 rounded-lg md:col-span-2"
+            />
+            <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+              <Upload size={16} />
+              직인 이미지 {template.seal_url ? '변경' : '업로드'}
+              <input type="file" accept="image/*" onChange={handleSealUpload} className="hidden" />
+            </label>
+            <button
+              onClick={saveTemplate}
+              className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg transition-colors"
+            >
+              양식 저장
+            </button>
+          </div>
+        )}
+
+        <button
+          onClick={() => window.print()}
+          disabled={!person || items.length === 0}
+          className="w-full bg-gradient-to-r from-blue-500 to-purple-600 text-white py-3 rounded-lg font-semibold disabled:opacity-50"
+        >
+          인쇄 / PDF로 저장
+        </button>
+      </div>
+
+      {/* 확인서 본문 (인쇄 영역) */}
+      {person && (
+        <div className="print-area bg-white shadow-sm mx-auto p-12" style={{ maxWidth: '210mm', minHeight: '297mm' }}>
+          <h1 className="text-3xl font-bold text-center tracking-widest mb-10">봉사활동 확인서</h1>
+
+          <table className="w-full text-sm border border-gray-400 mb-6">
+            <tbody>
+              <tr>
+                <th className="border border-gray-400 bg-gray-50 p-2 w-28">성명</th>
+                <td className="border border-gray-400 p-2">{person.name}</td>
+                <th className="border border-gray-400 bg-gray-50 p-2 w-28">기간</th>
+                <td className="border border-gray-400 p-2">{formatDateKorean(from)} ~ {formatDateKorean(to)}</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <p className="text-gray-800 mb-4">{template.note}</p>
+
+          <table className="w-full text-sm border border-gray-400 mb-8">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="border border-gray-400 p-2">날짜</th>
+                <th className="border border-gray-400 p-2">활동명</th>
+                <th className="border border-gray-400 p-2">기관/단체</th>
+                <th className="border border-gray-400 p-2">장소</th>
+                <th className="border border-gray-400 p-2">시간</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map(item => (
+                <tr key={item.id}>
+                  <td className="border border-gray-400 p-2 whitespace-nowrap">{item.date}</td>
+                  <td className="border border-gray-400 p-2">{item.name}</td>
+                  <td className="border border-gray-400 p-2">{item.organization}</td>
+                  <td className="border border-gray-400 p-2">{item.location || '-'}</td>
+                  <td className="border border-gray-400 p-2 text-right">{item.hours}</td>
+                </tr>
+              ))}
+              <tr className="font-semibold">
+                <td className="border border-gray-400 p-2 text-center" colSpan={4}>합계 ({items.length}회)</td>
+                <td className="border border-gray-400 p-2 text-right">{totalHours}</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <p className="text-center mb-10">{formatDateKorean(today)}</p>
+
+          <div className="flex justify-end items-center gap-4 text-lg">
+            <span>{template.group_name}</span>
+            <span>{template.signer_title} {template.signer_name}</span>
+            <span className="relative inline-block w-16 h-16 text-center leading-[4rem] text-gray-400">
+              (인)
+              {template.seal_url && (
+                <img src={template.seal_url} alt="직인" className="absolute inset-0 w-16 h-16 object-contain" />
+              )}
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CertificateView;
@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { Trash2, Edit, Reply, CornerDownRight, Flag } from 'lucide-react';
+import ReactionBar from './ReactionBar';
+
+const EMPTY_REPLY = { nickname: '', password: '', content: '' };
+
+const inputClass =
+  'p-2 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors';
+
+// 댓글 하나와 그 답글들. 답글에는 다시 답글을 달 수 없음 (한 단계)
+const CommentItem = ({ comment, replies = [], reactions, onToggleReaction, onReply, onEdit, onDelete, onReport }) => {
+  const [editing, setEditing] = useState(false);
+  const [editForm, setEditForm] = useState({ password: '', content: '' });
+  const [replying, setReplying] = useState(false);
+  const [reply, setReply] = useState(EMPTY_REPLY);
+  const isReply = !!comment.parent_id;
+
+  const startEdit = () => {
+    setEditForm({ password: '', content: comment.content });
+    setEditing(true);
+  };
+
+  const saveEdit = async () => {
+    if (await onEdit(comment, editForm.password, editForm.content)) {
+      setEditing(false);
+    }
+  };
+
+  const submitReply = async () => {
+    if (await onReply(comment.id, reply)) {
+      setReply(EMPTY_REPLY);
+      setReplying(false);
+    }
+  };
+
+  return (
+    <div className={isReply ? 'flex gap-2' : 'bg-gray-50 p-4 rounded-lg'}>
+      {isReply && <CornerDownRight size={16} className="text-gray-300 mt-1 flex-shrink-0" />}
+      <div className="flex-1 min-w-0">
+        <div className="flex justify-between items-start mb-2">
+          <div className="flex items-center gap-2 flex-wrap">
+            <span className="font-semibold text-gray-800">{comment.nickname}</span>
+            <span className="text-sm text-gray-500">{comment.timestamp}</span>
+            {comment.edited_at && <span className="text-xs text-gray-400">(수정됨)</span>}
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => onReport(comment)}
+              aria-label="댓글 신고"
+              title="신고"
+              className="text-gray-400 hover:text-orange-500 transition-colors"
+            >
+              <Flag size={16} />
+            </button>
+            <button
+              onClick={startEdit}
+              aria-label="댓글 수정"
+              className="text-gray-400 hover:text-blue-500 transition-colors"
+            >
+              <Edit size={16} />
+            </button>
+            <button
+              onClick={() => onDelete(comment)}
+              aria-label="댓글 삭제"
+              className="text-gray-400 hover:text-red-500 transition-colors"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        </div>
+
+        {editing ? (
+          <div className="mb-2">
+            <textarea
+              value={editForm.content}
+              onChange={(e) => setEditForm(prev => ({ ...prev, content: e.target.value }))}
+              rows={3}
+              className={`w-full ${inputClass} resize-vertical mb-2`}
+            />
+            <div className="flex gap-2">
+              <input
+                type="password"
+                placeholder="댓글 비밀번호"
+                value={editForm.password}
+                onChange={(e) => setEditForm(prev => ({ ...prev, password: e.target.value }))}
+                onKeyPress={(e) => e.key === 'Enter' && saveEdit()}
+                className={`flex-1 ${inputClass}`}
+              />
+              <button
+                onClick={() => setEditing(false)}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 py-2 px-3 rounded-lg text-sm transition-colors"
+              >
+                취소
+              </button>
+              <button
+                onClick={saveEdit}
+                className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-3 rounded-lg text-sm transition-colors"
+              >
+                저장
+              </button>
+            </div>
+          </div>
+        ) : (
+          <p className="text-gray-700 whitespace-pre-wrap mb-2">{comment.content}</p>
+        )}
+
+        <div className="flex items-center gap-3">
+          <ReactionBar
+            reactions={reactions(`comment:${comment.id}`)}
+            onToggle={(emoji) => onToggleReaction({ comment_id: comment.id }, emoji)}
+          />
+          {!isReply && (
+            <button
+              onClick={() => setReplying(prev => !prev)}
+              className="text-sm text-gray-500 hover:text-gray-700 flex items-center gap-1 transition-colors"
+            >
+              <Reply size={14} />
+              답글
+            </button>
+          )}
+        </div>
+
+        {replies.length > 0 && (
+          <div className="mt-3 space-y-3 border-l-2 border-gray-200 pl-3">
+            {replies.map(item => (
+              <CommentItem
+                key={item.id}
+                comment={item}
+                reactions={reactions}
+                onToggleReaction={onToggleReaction}
+                onEdit={onEdit}
+                onDelete={onDelete}
+                onReport={onReport}
+              />
+            ))}
+          </div>
+        )}
+
+        {replying && (
+          <div className="mt-3 bg-white p-3 rounded-lg border border-gray-200">
+            <div className="grid grid-cols-2 gap-2 mb-2">
+              <input
+                type="text"
+                placeholder="닉네임"
+                value={reply.nickname}
+                onChange={(e) => setReply(prev => ({ ...prev, nickname: e.target.value }))}
+                className={inputClass}
+              />
+              <input
+                type="password"
+                placeholder="비밀번호 (수정·삭제시 필요)"
+                value={reply.password}
+                onChange={(e) => setReply(prev => ({ ...prev, password: e.target.value }))}
+                className={inputClass}
+              />
+            </div>
+            <textarea
+              placeholder={`${comment.nickname}님에게 답글...`}
+              value={reply.content}
+              onChange={(e) => setReply(prev => ({ ...prev, content: e.target.value }))}
+              rows={2}
+              className={`w-full ${inputClass} resize-vertical mb-2`}
+            />
+            <button
+              onClick={submitReply}
+              className="w-full bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg text-sm font-semibold transition-colors"
+            >
+              답글 작성
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CommentItem;
@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import { Target, Settings } from 'lucide-react';
+import { supabaseClient } from './supabase';
+import { formatDateKorean } from './format';
+import { goalsForYear, personGoal, goalProgress } from './goals';
+
+const PEOPLE_PREVIEW = 5;
+
+const ProgressBar = ({ percent, achieved }) => (
+  <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+    <div
+      className={`h-full rounded-full ${achieved ? 'bg-green-500' : 'bg-gradient-to-r from-blue-500 to-purple-600'}`}
+      style={{ width: `${Math.min(100, percent)}%` }}
+    />
+  </div>
+);
+
+const paceText = (progress) => {
+  if (progress.achieved) return '목표 달성 🎉';
+  if (progress.projectedDate) return `예상 달성일 ${formatDateKorean(progress.projectedDate)}`;
+  return '이 속도로는 올해 안에 달성하기 어려워요';
+};
+
+// 메인 화면 연간 목표: 단체 목표와 사람별 목표 진행률, 관리자는 목표 설정
+const GoalProgress = ({ groupId, goals, year, groupHours, isAdmin, onSave }) => {
+  const yearGoals = goalsForYear(goals, year);
+  const [totals, setTotals] = useState([]);
+  const [people, setPeople] = useState([]);
+  const [showAll, setShowAll] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState(null);
+
+  useEffect(() => {
+    supabaseClient.rpc('person_totals', { p_year: year, p_group_id: groupId }).then(({ data, error }) => {
+      if (error) {
+        console.error('개인별 시간 불러오기 에러:', error);
+        return;
+      }
+      setTotals(data || []);
+    });
+  }, [groupId, year, groupHours]);
+
+  const startEdit = async () => {
+    // 이 그룹 기록에 한 번이라도 나온 사람
+    const { data, error } = await supabaseClient.rpc('person_totals', { p_group_id: groupId });
+    if (error) {
+      console.error('people 불러오기 에러:', error);
+    }
+    setPeople((data || [])
+      .map(person => ({ id: person.person_id, name: person.name }))
+      .sort((a, b) => a.name.localeCompare(b.name)));
+    setForm({
+      group_hours: yearGoals.group_hours ?? '',
+      person_hours: yearGoals.person_hours ?? '',
+      people: Object.fromEntries(Object.entries(yearGoals.people || {}).map(([id, hours]) => [id, String(hours)]))
+    });
+    setEditing(true);
+  };
+
+  const saveGoals = async () => {
+    const toNumber = (value) => (value === '' || value == null ? null : Number(value));
+    const nextYearGoals = {
+      group_hours: toNumber(form.group_hours),
+      person_hours: toNumber(form.person_hours),
+      people: Object.fromEntries(
+        Object.entries(form.people)
+          .filter(([, hours]) => hours !== '')
+          .map(([id, hours]) => [id, Number(hours)])
+      )
+    };
+    if (await onSave({ ...goals, [year]: nextYearGoals })) {
+      setEditing(false);
+    }
+  };
+
+  const personRows = totals
+    .map(person => {
+      const goal = personGoal(yearGoals, person.person_id);
+      return goal ? { ...person, goal, progress: goalProgress(person.total_hours, goal, year) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.progress.percent - a.progress.percent);
+  const achievedCount = personRows.filter(row => row.progress.achieved).length;
+  const hasGoals = yearGoals.group_hours || personRows.length > 0;
+
+  if (!hasGoals && !isAdmin) return null;
+
+  const groupProgress = yearGoals.group_hours ? goalProgress(groupHours, yearGoals.group_hours, year) : null;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+          <Target size={18} className="text-purple-500" />
+          {year}년 목표
+        </h3>
+        {isAdmin && !editing && (
+          <button onClick={startEdit} className="text-gray-500 hover:text-gray-700 flex items-center gap-1 text-sm">
+            <Settings size={16} />
+            목표 설정
+          </button>
+        )}
+      </div>
+
+      {editing ? (
+        <div>
+          <div className="grid grid-cols-2 gap-3 mb-4">
+            <label className="block">
+              <span className="block text-sm font-semibold text-gray-700 mb-1">단체 목표 (시간)</span>
+              <input
+                type="number"
+                min="0"
+                value={form.group_hours}
+                onChange={(e) => setForm(prev => ({ ...prev, group_hours: e.target.value }))}
+                className="w-full p-2 border border-gray-200 rounded-lg"
+              />
+            </label>
+            <label className="block">
+              <span className="block text-sm font-semibold text-gray-700 mb-1">1인당 목표 (시간)</span>
+              <input
+                type="number"
+                min="0"
+                value={form.person_hours}
+                onChange={(e) => setForm(prev => ({ ...prev, person_hours: e.target.value }))}
+                className="w-full p-2 border border-gray-200 rounded-lg"
+              />
+            </label>
+          </div>
+          {people.length > 0 && (
+            <div className="mb-4">
+              <p className="text-sm font-semibold text-gray-700 mb-1">사람별 목표 (비우면 1인당 목표 적용)</p>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-2 max-h-48 overflow-y-auto">
+                {people.map(person => (
+                  <label key={person.id} className="flex items-center gap-2 text-sm">
+                    <span className="flex-1 truncate text-gray-700">{person.name}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder={form.person_hours === '' ? '-' : String(form.person_hours)}
+                      value={form.people[person.id] ?? ''}
+                      onChange={(e) => setForm(prev => ({
+                        ...prev,
+                        people: { ...prev.people, [person.id]: e.target.value }
+                      }))}
+                      className="w-16 p-1 border border-gray-200 rounded"
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+          <div className="flex gap-3">
+            <button
+              onClick={() => setEditing(false)}
+              className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 py-2 px-4 rounded-lg transition-colors"
+            >
+              취소
+            </button>
+            <button
+              onClick={saveGoals}
+              className="flex-1 bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg transition-colors"
+            >
+              저장
+            </button>
+          </div>
+        </div>
+      ) : !hasGoals ? (
+        <p className="text-sm text-gray-500">올해 목표가 없습니다. 목표를 정하면 진행률과 예상 달성일을 보여드려요.</p>
+      ) : (
+        <div className="space-y-5">
+          {groupProgress && (
+            <div>
+              <div className="flex justify-between text-sm mb-1">
+                <span className="font-medium text-gray-800">단체 {groupHours} / {yearGoals.group_hours}시간</span>
+                <span className={groupProgress.onPace ? 'text-green-600' : 'text-orange-500'}>
+                  목표 대비 {groupProgress.percent}%
+                </span>
+              </div>
+              <ProgressBar percent={groupProgress.percent} achieved={groupProgress.achieved} />
+              <p className="text-xs text-gray-500 mt-1">{paceText(groupProgress)}</p>
+            </div>
+          )}
+
+          {personRows.length > 0 && (
+            <div>
+              <p className="text-sm font-medium text-gray-800 mb-2">
+                개인 목표 달성 {achievedCount} / {personRows.length}명
+              </p>
+              <div className="space-y-3">
+                {(showAll ? personRows : personRows.slice(0, PEOPLE_PREVIEW)).map(row => (
+                  <div key={row.person_id}>
+                    <div className="flex justify-between text-xs mb-1">
+                      <span className="text-gray-700">{row.name} {row.total_hours} / {row.goal}시간</span>
+                      <span className="text-gray-500">{row.progress.percent}% · {paceText(row.progress)}</span>
+                    </div>
+                    <ProgressBar percent={row.progress.percent} achieved={row.progress.achieved} />
+                  </div>
+                ))}
+              </div>
+              {personRows.length > PEOPLE_PREVIEW && (
+                <button
+                  onClick={() => setShowAll(prev => !prev)}
+                  className="text-xs text-blue-600 hover:underline mt-2"
+                >
+                  {showAll ? '접기' : `${personRows.length - PEOPLE_PREVIEW}명 더 보기`}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GoalProgress;
@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import { supabaseClient, isSupabaseConfigured } from './supabase';
+import { GROUP_COLUMNS, groupHomePath } from './groups';
+import SetupGuide from './SetupGuide';
+import App from './App';
+
+// 주소의 그룹을 불러온 뒤 앱을 띄움 (그룹이 없으면 그룹 목록을 보여줌)
+const GroupRoot = ({ slug }) => {
+  const [groups, setGroups] = useState(null);
+
+  useEffect(() => {
+    if (!isSupabaseConfigured) return;
+    supabaseClient.from('groups').select(GROUP_COLUMNS).order('name').then(({ data, error }) => {
+      if (error) {
+        console.error('그룹 불러오기 에러:', error);
+      }
+      setGroups(data || []);
+    });
+  }, []);
+
+  const group = groups?.find(g => g.slug === slug);
+
+  useEffect(() => {
+    if (group) document.title = group.title || group.name;
+  }, [group]);
+
+  if (!isSupabaseConfigured) return <SetupGuide />;
+
+  if (!groups) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto mb-4"></div>
+          <p className="text-gray-600">데이터를 불러오는 중...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!group) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-xl shadow-lg p-8 max-w-md w-full">
+          <h1 className="text-xl font-bold text-gray-800 mb-2">그룹을 찾을 수 없습니다</h1>
+          <p className="text-sm text-gray-500 mb-4">주소를 확인하거나 아래에서 그룹을 선택하세요.</p>
+          <ul className="space-y-2">
+            {groups.map(g => (
+              <li key={g.id}>
+                <a
+                  href={groupHomePath(g.slug)}
+                  className="block bg-gray-50 hover:bg-gray-100 rounded-lg px-4 py-3 text-gray-800 font-medium transition-colors"
+                >
+                  {g.name}
+                </a>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <App
+      group={group}
+      groups={groups}
+      onGroupChange={(updated) => setGroups(prev => prev.map(g => (g.id === updated.id ? updated : g)))}
+    />
+  );
+};
+
+export default GroupRoot;
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { Palette } from 'lucide-react';
+import { supabaseClient } from './supabase';
+import { GROUP_COLUMNS } from './groups';
+
+// 그룹 관리자: 헤더에 보이는 그룹 이름·제목·안내 문구·로고 수정
+const GroupSettings = ({ group, onClose, onSaved }) => {
+  const [form, setForm] = useState({
+    name: group.name,
+    title: group.title || '',
+    subtitle: group.subtitle || '',
+    logo_url: group.logo_url || ''
+  });
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  // 로고는 settings/ 아래에 저장 (사진 정리 대상에서 제외됨)
+  const handleLogoUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const fileName = `settings/logo_${group.slug}_${Date.now()}_${file.name}`;
+    const { error } = await supabaseClient.storage.from('volunteer-photos').upload(fileName, file);
+    if (error) {
+      console.error('로고 업로드 에러:', error);
+      alert('로고 이미지 업로드에 실패했습니다.');
+      return;
+    }
+
+    const { data } = supabaseClient.storage.from('volunteer-photos').getPublicUrl(fileName);
+    handleChange('logo_url', data.publicUrl);
+  };
+
+  const save = async () => {
+    if (!form.name.trim()) {
+      alert('그룹 이름을 입력해주세요.');
+      return;
+    }
+
+    setSaving(true);
+    const { data, error } = await supabaseClient
+      .from('groups')
+      .update({
+        name: form.name.trim(),
+        title: form.title.trim() || null,
+        subtitle: form.subtitle.trim() || null,
+        logo_url: form.logo_url || null
+      })
+      .eq('id', group.id)
+      .select(GROUP_COLUMNS)
+      .single();
+    setSaving(false);
+
+    if (error) {
+      console.error('그룹 설정 저장 실패:', error);
+      alert('그룹 설정 저장에 실패했습니다.');
+      return;
+    }
+    onSaved(data);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl max-w-md w-full p-6">
+        <div className="flex items-center gap-3 mb-4">
+          <Palette className="text-blue-500" size={24} />
+          <h3 className="text-lg font-semibold text-gray-800">그룹 설정</h3>
+        </div>
+        <label className="block text-sm font-semibold text-gray-700 mb-2">그룹 이름</label>
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => handleChange('name', e.target.value)}
+          className="w-full p-3 border border-gray-200 rounded-lg mb-3"
+        />
+        <label className="block text-sm font-semibold text-gray-700 mb-2">헤더 제목</label>
+        <input
+          type="text"
+          value={form.title}
+          onChange={(e) => handleChange('title', e.target.value)}
+          placeholder={form.name}
+          className="w-full p-3 border border-gray-200 rounded-lg mb-3"
+        />
+        <label className="block text-sm font-semibold text-gray-700 mb-2">안내 문구</label>
+        <textarea
+          value={form.subtitle}
+          onChange={(e) => handleChange('subtitle', e.target.value)}
+          rows={2}
+          className="w-full p-3 border border-gray-200 rounded-lg mb-3 resize-none"
+        />
+        <label className="block text-sm font-semibold text-gray-700 mb-2">로고</label>
+        <div className="flex items-center gap-3 mb-6">
+          {form.logo_url && (
+            <img src={form.logo_url} alt="로고" className="w-12 h-12 rounded-lg object-cover border border-gray-200" />
+          )}
+          <input type="file" accept="image/*" onChange={handleLogoUpload} className="text-sm flex-1" />
+          {form.logo_url && (
+            <button onClick={() => handleChange('logo_url', '')} className="text-sm text-red-500 hover:underline">
+              삭제
+            </button>
+          )}
+        </div>
+        <div className="flex gap-3">
+          <button
+            onClick={onClose}
+            className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 py-2 px-4 rounded-lg transition-colors"
+          >
+            취소
+          </button>
+          <button
+            onClick={save}
+            disabled={saving}
+            className="flex-1 bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg transition-colors disabled:opacity-50"
+          >
+            {saving ? '저장 중...' : '저장'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GroupSettings;
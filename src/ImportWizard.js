@@ -0,0 +1,289 @@
+import React, { useState } from 'react';
+import { X, Upload, FileSpreadsheet } from 'lucide-react';
+import { supabaseClient } from './supabase';
+import { validateRecordFields, normalizeDate } from './recordValidation';
+import { readCsvFile } from './csv';
+import { readXlsxFile } from './spreadsheet';
+
+// 가져올 수 있는 records 필드와 자동 매칭에 쓰는 머리글 단어
+const IMPORT_FIELDS = [
+  { key: 'date', label: '활동 날짜 *', keywords: ['날짜', '일자', 'date'] },
+  { key: 'name', label: '활동 이름 *', keywords: ['활동명', '활동 이름', '봉사활동명', 'name'] },
+  { key: 'organization', label: '기관/단체 *', keywords: ['기관', '단체', '봉사처', 'organization'] },
+  { key: 'hours', label: '봉사 시간 *', keywords: ['시간', 'hours'] },
+  { key: 'location', label: '활동 장소', keywords: ['장소', 'location'] },
+  { key: 'participants', label: '참석자', keywords: ['참석자', '참여자', '봉사자', 'participants'] },
+  { key: 'description', label: '활동 내용', keywords: ['내용', 'description'] },
+  { key: 'author_name', label: '등록자', keywords: ['등록자', 'author'] }
+];
+
+const STEPS = ['파일 선택', '열 연결', '미리보기'];
+
+const guessMapping = (headers) => {
+  const mapping = {};
+  IMPORT_FIELDS.forEach(field => {
+    const index = headers.findIndex(h =>
+      field.keywords.some(keyword => String(h).toLowerCase().includes(keyword))
+    );
+    mapping[field.key] = index >= 0 ? index : '';
+  });
+  return mapping;
+};
+
+// 엑셀/CSV 일괄 가져오기 마법사: 파일 → 열 연결 → 검사 후 한 번에 등록
+const ImportWizard = ({ groupId, onClose, onImported }) => {
+  const [step, setStep] = useState(0);
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [defaults, setDefaults] = useState({ author_name: '일괄 등록', author_password: '' });
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      const readFile = /\.xlsx$/i.test(file.name) ? readXlsxFile : readCsvFile;
+      const [headerRow = [], ...dataRows] = await readFile(file);
+
+      setFileName(file.name);
+      setHeaders(headerRow);
+      setRows(dataRows);
+      setMapping(guessMapping(headerRow));
+      setStep(1);
+    } catch (error) {
+      console.error('파일 읽기 실패:', error);
+      alert('파일을 읽을 수 없습니다. CSV 또는 XLSX 파일인지 확인해주세요.');
+    }
+  };
+
+  const cell = (row, field) => {
+    const index = mapping[field];
+    return index === '' || index == null ? '' : String(row[index] ?? '').trim();
+  };
+
+  // addRecord와 같은 규칙으로 각 행 검사
+  const previewRows = rows.map((row, i) => {
+    const record = {
+      date: normalizeDate(cell(row, 'date')),
+      name: cell(row, 'name'),
+      organization: cell(row, 'organization'),
+      hours: cell(row, 'hours'),
+      location: cell(row, 'location'),
+      participants: cell(row, 'participants'),
+      description: cell(row, 'description'),
+      author_name: cell(row, 'author_name') || defaults.author_name
+    };
+    let error = validateRecordFields(record);
+    if (!error && cell(row, 'date') && !record.date) {
+      error = '날짜 형식을 알 수 없습니다.';
+    }
+    return { line: i + 2, record, error };
+  });
+  const validRows = previewRows.filter(r => !r.error);
+  const invalidRows = previewRows.filter(r => r.error);
+
+  const runImport = async () => {
+    if (!defaults.author_password) {
+      alert('가져온 기록을 수정할 때 쓸 비밀번호를 입력해주세요.');
+      return;
+    }
+
+    try {
+      setImporting(true);
+      const payload = validRows.map(({ record }) => ({
+        ...record,
+        hours: Number(record.hours),
+        author_password: defaults.author_password
+      }));
+
+      const { data: count, error } = await supabaseClient.rpc('import_records', { p_group_id: groupId, p_rows: payload });
+      if (error) throw error;
+
+      setResult({ imported: count, skipped: invalidRows.length });
+      onImported();
+    } catch (error) {
+      console.error('가져오기 실패:', error);
+      alert('가져오기에 실패했습니다. 관리자로 로그인했는지 확인해주세요.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const canGoPreview = ['date', 'name', 'organization', 'hours'].every(key => mapping[key] !== '');
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-gray-100 flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-800">기록 일괄 가져오기</h2>
+            {!result && (
+              <p className="text-sm text-gray-500 mt-1">
+                {STEPS.map((label, i) => (
+                  <span key={label} className={i === step ? 'text-blue-600 font-semibold' : ''}>
+                    {i + 1}. {label}{i < STEPS.length - 1 && ' → '}
+                  </span>
+                ))}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-6">
+          {result ? (
+            <div className="text-center py-8">
+              <FileSpreadsheet size={48} className="mx-auto mb-4 text-green-500" />
+              <p className="text-lg font-semibold text-gray-800 mb-2">{result.imported}개의 기록을 가져왔습니다</p>
+              {result.skipped > 0 && (
+                <p className="text-sm text-gray-500 mb-6">오류가 있는 {result.skipped}개 행은 건너뛰었습니다.</p>
+              )}
+              <button
+                onClick={onClose}
+                className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-6 rounded-lg transition-colors"
+              >
+                닫기
+              </button>
+            </div>
+          ) : step === 0 ? (
+            <div
+              onClick={() => document.getElementById('import-input').click()}
+              className="border-2 border-dashed border-gray-300 hover:border-blue-500 rounded-lg p-12 text-center cursor-pointer transition-colors bg-gray-50 hover:bg-blue-50"
+            >
+              <input
+                id="import-input"
+                type="file"
+                accept=".csv,.xlsx"
+                onChange={handleFile}
+                className="hidden"
+              />
+              <Upload size={40} className="mx-auto mb-4 text-gray-400" />
+              <p className="text-gray-600 font-medium mb-2">CSV 또는 엑셀(XLSX) 파일을 선택해주세요</p>
+              <p className="text-sm text-gray-500">첫 번째 시트의 첫 줄을 머리글로 읽습니다</p>
+              <p className="text-sm text-gray-500">예전 형식(.xls)은 XLSX로 저장해서 올려주세요</p>
+            </div>
+          ) : step === 1 ? (
+            <div>
+              <p className="text-sm text-gray-600 mb-4">
+                {fileName} · {rows.length}행. 각 항목에 해당하는 열을 골라주세요.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-6">
+                {IMPORT_FIELDS.map(field => (
+                  <label key={field.key} className="block">
+                    <span className="block text-sm font-semibold text-gray-700 mb-1">{field.label}</span>
+                    <select
+                      value={mapping[field.key]}
+                      onChange={(e) => setMapping(prev => ({
+                        ...prev,
+                        [field.key]: e.target.value === '' ? '' : Number(e.target.value)
+                      }))}
+                      className="w-full p-2 border border-gray-200 rounded-lg"
+                    >
+                      <option value="">(사용 안 함)</option>
+                      {headers.map((header, i) => (
+                        <option key={i} value={i}>{header || `${i + 1}번째 열`}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setStep(0)}
+                  className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 py-2 px-4 rounded-lg transition-colors"
+                >
+                  이전
+                </button>
+                <button
+                  onClick={() => setStep(2)}
+                  disabled={!canGoPreview}
+                  className="flex-1 bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg transition-colors disabled:opacity-50"
+                >
+                  미리보기
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div>
+              <p className="text-sm text-gray-600 mb-3">
+                등록 가능 <span className="font-semibold text-green-600">{validRows.length}</span>행 ·
+                오류 <span className="font-semibold text-red-500">{invalidRows.length}</span>행
+              </p>
+              <div className="overflow-x-auto border border-gray-200 rounded-lg mb-4 max-h-80">
+                <table className="w-full text-xs">
+                  <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                    <tr>
+                      <th className="p-2 text-left">행</th>
+                      <th className="p-2 text-left">날짜</th>
+                      <th className="p-2 text-left">활동 이름</th>
+                      <th className="p-2 text-left">기관/단체</th>
+                      <th className="p-2 text-right">시간</th>
+                      <th className="p-2 text-left">참석자</th>
+                      <th className="p-2 text-left">확인</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {previewRows.map(({ line, record, error }) => (
+                      <tr key={line} className={error ? 'bg-red-50' : ''}>
+                        <td className="p-2 text-gray-400">{line}</td>
+                        <td className="p-2 whitespace-nowrap">{record.date}</td>
+                        <td className="p-2">{record.name}</td>
+                        <td className="p-2">{record.organization}</td>
+                        <td className="p-2 text-right">{record.hours}</td>
+                        <td className="p-2">{record.participants}</td>
+                        <td className={`p-2 whitespace-nowrap ${error ? 'text-red-500' : 'text-green-600'}`}>
+                          {error || '정상'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3 mb-4">
+                <input
+                  type="text"
+                  placeholder="등록자 (열이 없을 때)"
+                  value={defaults.author_name}
+                  onChange={(e) => setDefaults(prev => ({ ...prev, author_name: e.target.value }))}
+                  className="p-3 border border-gray-200 rounded-lg"
+                />
+                <input
+                  type="password"
+                  placeholder="수정용 비밀번호 *"
+                  value={defaults.author_password}
+                  onChange={(e) => setDefaults(prev => ({ ...prev, author_password: e.target.value }))}
+                  className="p-3 border border-gray-200 rounded-lg"
+                />
+              </div>
+
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setStep(1)}
+                  className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 py-2 px-4 rounded-lg transition-colors"
+                >
+                  이전
+                </button>
+                <button
+                  onClick={runImport}
+                  disabled={importing || validRows.length === 0}
+                  className="flex-1 bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg transition-colors disabled:opacity-50"
+                >
+                  {importing ? '가져오는 중...' : `${validRows.length}개 가져오기`}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import { Flag, X, Trash2, Check } from 'lucide-react';
+import { supabaseClient } from './supabase';
+import { GROUP_COLUMNS } from './groups';
+
+// 그룹 관리자: 신고된 댓글 검토(삭제/신고 무시)와 금지어 설정
+const ModerationQueue = ({ group, onClose, onGroupChange, onOpenRecord, onRemoved }) => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [bannedWords, setBannedWords] = useState((group.banned_words || []).join(', '));
+
+  // 그룹이 바뀌면 그 그룹의 신고 목록과 금지어로 다시 채움 (늦게 온 이전 그룹 응답은 무시)
+  useEffect(() => {
+    let ignore = false;
+    setLoading(true);
+    supabaseClient.rpc('moderation_queue', { p_group_id: group.id }).then(({ data, error }) => {
+      if (ignore) return;
+      if (error) {
+        console.error('신고 목록 불러오기 에러:', error);
+      }
+      setItems(data || []);
+      setLoading(false);
+    });
+    return () => {
+      ignore = true;
+    };
+  }, [group.id]);
+
+  useEffect(() => {
+    setBannedWords((group.banned_words || []).join(', '));
+  }, [group.banned_words]);
+
+  const removeComment = async (item) => {
+    if (!window.confirm(`'${item.nickname}'님의 댓글을 삭제할까요? 답글도 함께 삭제됩니다.`)) return;
+
+    const { data, error } = await supabaseClient.from('comments').delete().eq('id', item.comment_id).select('id');
+    if (error) {
+      console.error('댓글 삭제 실패:', error);
+      alert('댓글 삭제에 실패했습니다.');
+      return;
+    }
+    // RLS에 막히면 에러 없이 아무것도 지워지지 않음
+    if (data.length === 0) {
+      alert('이 댓글을 삭제할 권한이 없습니다.');
+      return;
+    }
+    setItems(prev => prev.filter(i => i.comment_id !== item.comment_id));
+    onRemoved(item);
+  };
+
+  const dismissReports = async (item) => {
+    const { error } = await supabaseClient.rpc('dismiss_comment_reports', { p_comment_id: item.comment_id });
+    if (error) {
+      console.error('신고 처리 실패:', error);
+      alert('신고 처리에 실패했습니다.');
+      return;
+    }
+    setItems(prev => prev.filter(i => i.comment_id !== item.comment_id));
+  };
+
+  const saveBannedWords = async () => {
+    const words = [...new Set(bannedWords.split(/[,\n]/).map(word => word.trim()).filter(Boolean))];
+    const { data, error } = await supabaseClient
+      .from('groups')
+      .update({ banned_words: words })
+      .eq('id', group.id)
+      .select(GROUP_COLUMNS)
+      .single();
+    if (error) {
+      console.error('금지어 저장 실패:', error);
+      alert('금지어 저장에 실패했습니다.');
+      return;
+    }
+    onGroupChange(data);
+    setBannedWords(words.join(', '));
+    alert('금지어가 저장되었습니다.');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-gray-100 flex justify-between items-center">
+          <div className="flex items-center gap-3">
+            <Flag className="text-red-500" size={24} />
+            <h2 className="text-xl font-semibold text-gray-800">댓글 신고 관리</h2>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-6">
+          {loading ? (
+            <p className="text-gray-500 text-center py-6">불러오는 중...</p>
+          ) : items.length === 0 ? (
+            <p className="text-gray-500 text-center py-6">검토할 신고가 없습니다.</p>
+          ) : (
+            <ul className="space-y-3 mb-6">
+              {items.map(item => (
+                <li key={item.comment_id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex justify-between items-start gap-3 mb-2">
+                    <div className="min-w-0">
+                      <button
+                        onClick={() => onOpenRecord(item.record_id)}
+                        className="text-sm text-blue-600 hover:underline truncate block"
+                      >
+                        {item.record_name}
+                      </button>
+                      <span className="font-semibold text-gray-800">{item.nickname}</span>
+                      <span className="text-sm text-gray-500 ml-2">{item.comment_timestamp}</span>
+                    </div>
+                    <span className="bg-red-50 text-red-600 text-xs font-semibold px-2 py-1 rounded-full whitespace-nowrap">
+                      신고 {item.report_count}건
+                    </span>
+                  </div>
+                  <p className="text-gray-700 whitespace-pre-wrap mb-2">{item.content}</p>
+                  {item.reasons.length > 0 && (
+                    <ul className="text-xs text-gray-500 mb-3 list-disc pl-4">
+                      {item.reasons.map((reason, index) => (
+                        <li key={index}>{reason}</li>
+                      ))}
+                    </ul>
+                  )}
+                  <div className="flex gap-2 justify-end">
+                    <button
+                      onClick={() => dismissReports(item)}
+                      className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1.5 rounded-lg text-sm flex items-center gap-1 transition-colors"
+                    >
+                      <Check size={14} />
+                      신고 무시
+                    </button>
+                    <button
+                      onClick={() => removeComment(item)}
+                      className="bg-red-500 hover:bg-red-600 text-white px-3 py-1.5 rounded-lg text-sm flex items-center gap-1 transition-colors"
+                    >
+                      <Trash2 size={14} />
+                      댓글 삭제
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="border-t border-gray-100 pt-5">
+            <label className="block text-sm font-semibold text-gray-700 mb-2">금지어 (쉼표나 줄바꿈으로 구분)</label>
+            <p className="text-xs text-gray-500 mb-2">닉네임이나 댓글에 포함되면 작성·수정할 수 없습니다.</p>
+            <textarea
+              value={bannedWords}
+              onChange={(e) => setBannedWords(e.target.value)}
+              rows={3}
+              className="w-full p-3 border border-gray-200 rounded-lg mb-3 resize-vertical"
+            />
+            <button
+              onClick={saveBannedWords}
+              className="w-full bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg transition-colors"
+            >
+              금지어 저장
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModerationQueue;
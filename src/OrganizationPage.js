@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';
+import { Building2, Settings, Phone, Mail, MapPin, User } from 'lucide-react';
+import { supabaseClient } from './supabase';
+import { formatDateKorean } from './format';
+
+const DETAIL_FIELDS = [
+  { key: 'contact_name', label: '담당자', icon: User },
+  { key: 'phone', label: '연락처', icon: Phone },
+  { key: 'email', label: '이메일', icon: Mail },
+  { key: 'address', label: '주소', icon: MapPin }
+];
+
+// 기관 페이지: 연락처·메모와 이 기관에서 한 활동 전체
+const OrganizationPage = ({ organizationId, groupId, isAdmin, onSelectRecord }) => {
+  const [organization, setOrganization] = useState(null);
+  const [records, setRecords] = useState([]);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({});
+
+  useEffect(() => {
+    const load = async () => {
+      const { data, error } = await supabaseClient
+        .from('organizations')
+        .select('id, name, contact_name, phone, email, address, notes')
+        .eq('id', organizationId)
+        .maybeSingle();
+      if (error) {
+        console.error('기관 불러오기 에러:', error);
+        return;
+      }
+      setOrganization(data || false);
+      if (!data) return;
+
+      const { data: visits, error: visitsError } = await supabaseClient
+        .from('records')
+        .select('id, date, name, hours, participants')
+        .eq('group_id', groupId)
+        .eq('organization', data.name)
+        .order('date', { ascending: false });
+      if (visitsError) {
+        console.error('기관 활동 불러오기 에러:', visitsError);
+        return;
+      }
+      setRecords(visits || []);
+    };
+    load();
+  }, [organizationId, groupId]);
+
+  const startEdit = () => {
+    setForm({
+      contact_name: organization.contact_name || '',
+      phone: organization.phone || '',
+      email: organization.email || '',
+      address: organization.address || '',
+      notes: organization.notes || ''
+    });
+    setEditing(true);
+  };
+
+  const saveDetails = async () => {
+    const changes = Object.fromEntries(Object.entries(form).map(([key, value]) => [key, value.trim() || null]));
+    const { error } = await supabaseClient.from('organizations').update(changes).eq('id', organization.id);
+    if (error) {
+      console.error('기관 정보 저장 실패:', error);
+      alert('기관 정보 저장에 실패했습니다.');
+      return;
+    }
+    setOrganization(prev => ({ ...prev, ...changes }));
+    setEditing(false);
+  };
+
+  if (organization === null) {
+    return <div className="bg-white rounded-xl shadow-sm p-16 text-center text-gray-500">불러오는 중...</div>;
+  }
+  if (organization === false) {
+    return <div className="bg-white rounded-xl shadow-sm p-16 text-center text-gray-500">기관을 찾을 수 없습니다.</div>;
+  }
+
+  const totalHours = records.reduce((sum, record) => sum + (record.hours || 0), 0);
+  const firstDate = records.length > 0 ? records[records.length - 1].date : null;
+  const lastDate = records.length > 0 ? records[0].date : null;
+
+  return (
+    <div className="space-y-5">
+      <div className="bg-white rounded-xl shadow-sm p-6">
+        <div className="flex justify-between items-start gap-3 mb-4">
+          <div className="flex items-center gap-2">
+            <Building2 size={22} className="text-gray-600" />
+            <h2 className="text-2xl font-bold text-gray-800">{organization.name}</h2>
+          </div>
+          {isAdmin && !editing && (
+            <button
+              onClick={startEdit}
+              className="text-gray-500 hover:text-gray-700 flex items-center gap-1 text-sm whitespace-nowrap"
+            >
+              <Settings size={16} />
+              정보 수정
+            </button>
+          )}
+        </div>
+
+        {editing ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {DETAIL_FIELDS.map(field => (
+              <input
+                key={field.key}
+                type="text"
+                placeholder={field.label}
+                value={form[field.key]}
+                onChange={(e) => setForm(prev => ({ ...prev, [field.key]: e.target.value }))}
+                className="p-3 border border-gray-200 rounded-lg"
+              />
+            ))}
+            <textarea
+              placeholder="메모 (준비물, 주차, 출입 방법 등)"
+              value={form.notes}
+              onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+              rows={3}
+              className="p-3 border border-gray-200 rounded-lg md:col-span-2"
+            />
+            <div className="flex gap-3 md:col-span-2">
+              <button
+                onClick={() => setEditing(false)}
+                className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 py-2 px-4 rounded-lg transition-colors"
+              >
+                취소
+              </button>
+              <button
+                onClick={saveDetails}
+                className="flex-1 bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg transition-colors"
+              >
+                저장
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-2 text-sm text-gray-700">
+            {DETAIL_FIELDS.filter(field => organization[field.key]).map(({ key, label, icon: Icon }) => (
+              <div key={key} className="flex items-center gap-2">
+                <Icon size={14} className="text-gray-400" />
+                <span className="text-gray-500 w-14">{label}</span>
+                <span>{organization[key]}</span>
+              </div>
+            ))}
+            {organization.notes && (
+              <p className="bg-gray-50 p-3 rounded-lg whitespace-pre-wrap">{organization.notes}</p>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm p-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+        {[
+          { label: '방문 횟수', value: `${records.length}회` },
+          { label: '총 봉사 시간', value: `${totalHours}시간` },
+          { label: '첫 방문', value: firstDate ? formatDateKorean(firstDate) : '-' },
+          { label: '마지막 방문', value: lastDate ? formatDateKorean(lastDate) : '-' }
+        ].map(card => (
+          <div key={card.label} className="text-center">
+            <div className="text-lg font-bold text-gray-800">{card.value}</div>
+            <div className="text-sm text-gray-500 mt-1 font-medium">{card.label}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+        <h3 className="p-5 border-b border-gray-100 font-semibold text-gray-800">활동 기록</h3>
+        {records.length === 0 ? (
+          <p className="p-10 text-center text-gray-500">아직 이 기관에서 한 활동이 없습니다.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {records.map(record => (
+              <li key={record.id}>
+                <button
+                  onClick={() => onSelectRecord(record.id)}
+                  className="w-full flex justify-between items-center gap-3 p-4 text-left hover:bg-gray-50 transition-colors"
+                >
+                  <div className="min-w-0">
+                    <div className="font-medium text-gray-800 truncate">{record.name}</div>
+                    <div className="text-xs text-gray-500 mt-1 truncate">
+                      {formatDateKorean(record.date)}{record.participants ? ` · ${record.participants}` : ''}
+                    </div>
+                  </div>
+                  <span className="text-sm text-gray-600 whitespace-nowrap">{record.hours}시간</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OrganizationPage;
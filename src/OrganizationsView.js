@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Building2, Search, Merge } from 'lucide-react';
+import { supabaseClient } from './supabase';
+import { formatDateKorean } from './format';
+
+// 기관 목록: 기관별 방문 횟수와 누적 시간, 관리자는 같은 기관의 다른 표기를 합칠 수 있음
+const OrganizationsView = ({ groupId, isAdmin, onSelectOrganization, onMerged }) => {
+  const [organizations, setOrganizations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [query, setQuery] = useState('');
+  const [showMerge, setShowMerge] = useState(false);
+  const [merge, setMerge] = useState({ source: '', target: '' });
+
+  const loadSummaries = useCallback(async () => {
+    setLoading(true);
+    const { data, error } = await supabaseClient.rpc('organization_summaries', { p_group_id: groupId });
+    if (error) {
+      console.error('기관 목록 불러오기 에러:', error);
+    }
+    setOrganizations(data || []);
+    setLoading(false);
+  }, [groupId]);
+
+  useEffect(() => {
+    loadSummaries();
+  }, [loadSummaries]);
+
+  const mergeOrganizations = async () => {
+    const source = organizations.find(o => String(o.id) === merge.source);
+    const target = organizations.find(o => String(o.id) === merge.target);
+    if (!source || !target || source.id === target.id) {
+      alert('합칠 기관 두 곳을 서로 다르게 골라주세요.');
+      return;
+    }
+    if (!window.confirm(`'${source.name}'의 기록 ${source.visit_count}개를 '${target.name}'(으)로 옮기고 '${source.name}'을(를) 삭제할까요?`)) {
+      return;
+    }
+
+    const { error } = await supabaseClient.rpc('merge_organizations', {
+      p_source_id: source.id,
+      p_target_id: target.id
+    });
+    if (error) {
+      console.error('기관 합치기 실패:', error);
+      alert('기관 합치기에 실패했습니다.');
+      return;
+    }
+
+    setMerge({ source: '', target: '' });
+    setShowMerge(false);
+    await loadSummaries();
+    onMerged();
+    alert('기관을 합쳤습니다.');
+  };
+
+  const keyword = query.trim().toLowerCase();
+  const filtered = keyword
+    ? organizations.filter(o => o.name.toLowerCase().includes(keyword))
+    : organizations;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+      <div className="p-5 border-b border-gray-100">
+        <div className="flex justify-between items-center gap-3 mb-4">
+          <div className="flex items-center gap-2">
+            <Building2 size={20} className="text-gray-600" />
+            <h2 className="text-xl font-semibold text-gray-800">방문 기관</h2>
+          </div>
+          {isAdmin && (
+            <button
+              onClick={() => setShowMerge(prev => !prev)}
+              className="text-gray-500 hover:text-gray-700 flex items-center gap-1 text-sm"
+            >
+              <Merge size={16} />
+              중복 합치기
+            </button>
+          )}
+        </div>
+
+        {showMerge && (
+          <div className="bg-gray-50 p-4 rounded-lg mb-4">
+            <p className="text-sm text-gray-600 mb-3">왼쪽 기관의 기록을 오른쪽 기관으로 옮기고 왼쪽 기관은 삭제합니다.</p>
+            <div className="grid grid-cols-1 md:grid-cols-[1fr_auto_1fr_auto] items-center gap-2">
+              <select
+                value={merge.source}
+                onChange={(e) => setMerge(prev => ({ ...prev, source: e.target.value }))}
+                className="p-2 border border-gray-200 rounded-lg"
+              >
+                <option value="">합칠 기관 (삭제됨)</option>
+                {organizations.map(o => (
+                  <option key={o.id} value={o.id}>{o.name} ({o.visit_count}회)</option>
+                ))}
+              </select>
+              <span className="text-center text-gray-400">→</span>
+              <select
+                value={merge.target}
+                onChange={(e) => setMerge(prev => ({ ...prev, target: e.target.value }))}
+                className="p-2 border border-gray-200 rounded-lg"
+              >
+                <option value="">남길 기관</option>
+                {organizations.map(o => (
+                  <option key={o.id} value={o.id}>{o.name} ({o.visit_count}회)</option>
+                ))}
+              </select>
+              <button
+                onClick={mergeOrganizations}
+                className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg transition-colors"
+              >
+                합치기
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="relative">
+          <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="기관 이름 검색"
+            className="w-full pl-9 p-2 border border-gray-200 rounded-lg"
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="p-16 text-center text-gray-500">불러오는 중...</div>
+      ) : filtered.length === 0 ? (
+        <div className="p-16 text-center text-gray-500">기관이 없습니다.</div>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {filtered.map(o => (
+            <li key={o.id}>
+              <button
+                onClick={() => onSelectOrganization(o.id)}
+                className="w-full flex justify-between items-center gap-3 p-4 text-left hover:bg-gray-50 transition-colors"
+              >
+                <div className="min-w-0">
+                  <div className="font-medium text-gray-800 truncate">{o.name}</div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    {o.last_date ? `마지막 방문 ${formatDateKorean(o.last_date)}` : '방문 기록 없음'}
+                  </div>
+                </div>
+                <div className="text-right text-sm text-gray-600 whitespace-nowrap">
+                  <div>{o.visit_count}회</div>
+                  <div className="text-xs text-gray-500">{o.total_hours}시간</div>
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OrganizationsView;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+
+// 참석자 선택: 기존 명단에서 자동완성, 사람마다 개별 봉사 시간 입력 가능
+const ParticipantPicker = ({ value, onChange, people, defaultHours }) => {
+  const [input, setInput] = useState('');
+
+  const addParticipant = (rawName) => {
+    const name = rawName.trim();
+    if (!name) return;
+    if (value.some(p => p.name === name)) {
+      setInput('');
+      return;
+    }
+    onChange([...value, { name, hours: '' }]);
+    setInput('');
+  };
+
+  const removeParticipant = (name) => {
+    onChange(value.filter(p => p.name !== name));
+  };
+
+  const changeHours = (name, hours) => {
+    onChange(value.map(p => (p.name === name ? { ...p, hours } : p)));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addParticipant(input);
+    } else if (e.key === 'Backspace' && !input && value.length > 0) {
+      removeParticipant(value[value.length - 1].name);
+    }
+  };
+
+  const suggestions = people.filter(name => !value.some(p => p.name === name));
+
+  return (
+    <div>
+      <input
+        type="text"
+        list="participant-suggestions"
+        value={input}
+        onChange={(e) => {
+          // 자동완성 목록에서 고르면 바로 추가
+          if (suggestions.includes(e.target.value)) {
+            addParticipant(e.target.value);
+          } else {
+            setInput(e.target.value);
+          }
+        }}
+        onKeyDown={handleKeyDown}
+        onBlur={() => addParticipant(input)}
+        placeholder="이름 입력 후 Enter (예: 홍길동)"
+        className="w-full p-3 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+      />
+      <datalist id="participant-suggestions">
+        {suggestions.map(name => (
+          <option key={name} value={name} />
+        ))}
+      </datalist>
+
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-2">
+          {value.map(p => (
+            <div key={p.name} className="flex items-center gap-1 bg-blue-50 border border-blue-100 rounded-full pl-3 pr-1 py-1 text-sm">
+              <span className="text-blue-800 font-medium">{p.name}</span>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={p.hours}
+                onChange={(e) => changeHours(p.name, e.target.value)}
+                placeholder={defaultHours || '시간'}
+                title="기록 시간과 다를 때만 입력"
+                className="w-14 px-1 py-0.5 text-xs border border-blue-100 rounded bg-white"
+              />
+              <button
+                type="button"
+                onClick={() => removeParticipant(p.name)}
+                className="text-blue-400 hover:text-red-500 transition-colors"
+              >
+                <X size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ParticipantPicker;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, ChevronLeft, ChevronRight, Download } from 'lucide-react';
+
+const SWIPE_DISTANCE = 50; // px, 이보다 길게 밀면 이전/다음 사진
+const MAX_SCALE = 4;
+
+const distance = (touches) =>
+  Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+
+const fileNameFromUrl = (url, index) => {
+  const name = decodeURIComponent(url.split('?')[0].split('/').pop() || '');
+  return name && !url.startsWith('blob:') ? name : `photo_${index + 1}.jpg`;
+};
+
+// 사진 크게 보기: 좌우 이동(버튼, 방향키, 스와이프), 핀치/더블탭 확대, 다운로드
+const PhotoLightbox = ({ photos, initialIndex = 0, onClose }) => {
+  const [index, setIndex] = useState(initialIndex);
+  const [zoom, setZoom] = useState({ scale: 1, x: 0, y: 0 });
+  const [touching, setTouching] = useState(false);
+  const gestureRef = useRef(null);
+
+  const hasMany = photos.length > 1;
+  const zoomed = zoom.scale > 1;
+
+  const go = (delta) => {
+    setIndex(prev => (prev + delta + photos.length) % photos.length);
+    setZoom({ scale: 1, x: 0, y: 0 });
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (!hasMany || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+      const delta = e.key === 'ArrowLeft' ? -1 : 1;
+      setIndex(prev => (prev + delta + photos.length) % photos.length);
+      setZoom({ scale: 1, x: 0, y: 0 });
+    };
+    window.addEventListener('keydown', handleKeyDown);
+
+    // 뒤에 있는 화면이 함께 스크롤되지 않도록
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      document.body.style.overflow = previousOverflow;
+    };
+  }, [hasMany, photos.length, onClose]);
+
+  const handleTouchStart = (e) => {
+    setTouching(true);
+    if (e.touches.length === 2) {
+      gestureRef.current = { type: 'pinch', startDistance: distance(e.touches), startScale: zoom.scale };
+    } else if (e.touches.length === 1) {
+      const { clientX, clientY } = e.touches[0];
+      gestureRef.current = { type: zoomed ? 'pan' : 'swipe', startX: clientX, startY: clientY, origin: zoom };
+    }
+  };
+
+  const handleTouchMove = (e) => {
+    const gesture = gestureRef.current;
+    if (!gesture) return;
+
+    if (gesture.type === 'pinch' && e.touches.length === 2) {
+      const scale = Math.min(MAX_SCALE, Math.max(1, gesture.startScale * (distance(e.touches) / gesture.startDistance)));
+      setZoom(prev => (scale === 1 ? { scale: 1, x: 0, y: 0 } : { ...prev, scale }));
+    } else if (gesture.type === 'pan' && e.touches.length === 1) {
+      const { clientX, clientY } = e.touches[0];
+      setZoom({
+        ...gesture.origin,
+        x: gesture.origin.x + (clientX - gesture.startX),
+        y: gesture.origin.y + (clientY - gesture.startY)
+      });
+    }
+  };
+
+  const handleTouchEnd = (e) => {
+    const gesture = gestureRef.current;
+    gestureRef.current = null;
+    setTouching(false);
+    if (!gesture || gesture.type !== 'swipe' || !hasMany) return;
+
+    const dx = e.changedTouches[0].clientX - gesture.startX;
+    const dy = e.changedTouches[0].clientY - gesture.startY;
+    if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+      go(dx < 0 ? 1 : -1);
+    }
+  };
+
+  const toggleZoom = () => {
+    setZoom(prev => (prev.scale > 1 ? { scale: 1, x: 0, y: 0 } : { scale: 2, x: 0, y: 0 }));
+  };
+
+  // 다른 도메인(스토리지) 파일은 a[download]가 무시되므로 받아서 저장
+  const download = async () => {
+    const url = photos[index];
+    try {
+      const response = await fetch(url);
+      const blobUrl = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = blobUrl;
+      link.download = fileNameFromUrl(url, index);
+      link.click();
+      URL.revokeObjectURL(blobUrl);
+    } catch (error) {
+      console.error('사진 다운로드 실패:', error);
+      window.open(url, '_blank', 'noopener');
+    }
+  };
+
+  const buttonClass = 'bg-black/40 hover:bg-black/60 text-white p-2 rounded-full transition-colors';
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/90 z-[60] flex items-center justify-center select-none"
+      onClick={onClose}
+    >
+      <div className="absolute top-0 inset-x-0 p-4 flex justify-between items-center text-white z-10">
+        <span className="text-sm font-medium">{index + 1} / {photos.length}</span>
+        <div className="flex gap-2" onClick={(e) => e.stopPropagation()}>
+          <button onClick={download} className={buttonClass} aria-label="다운로드">
+            <Download size={20} />
+          </button>
+          <button onClick={onClose} className={buttonClass} aria-label="닫기">
+            <X size={20} />
+          </button>
+        </div>
+      </div>
+
+      <div
+        className="w-full h-full flex items-center justify-center overflow-hidden p-4"
+        style={{ touchAction: 'none' }}
+        onTouchStart={handleTouchStart}
+        onTouchMove={handleTouchMove}
+        onTouchEnd={handleTouchEnd}
+      >
+        <img
+          src={photos[index]}
+          alt={`사진 ${index + 1}`}
+          onClick={(e) => e.stopPropagation()}
+          onDoubleClick={toggleZoom}
+          draggable={false}
+          className={`max-w-full max-h-full rounded-lg shadow-2xl ${touching ? '' : 'transition-transform'}`}
+          style={{ transform: `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})` }}
+        />
+      </div>
+
+      {hasMany && (
+        <>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              go(-1);
+            }}
+            className={`absolute left-3 top-1/2 -translate-y-1/2 ${buttonClass}`}
+            aria-label="이전 사진"
+          >
+            <ChevronLeft size={28} />
+          </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              go(1);
+            }}
+            className={`absolute right-3 top-1/2 -translate-y-1/2 ${buttonClass}`}
+            aria-label="다음 사진"
+          >
+            <ChevronRight size={28} />
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PhotoLightbox;
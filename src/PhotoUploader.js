@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Upload, Star, RefreshCw, X, ChevronLeft, ChevronRight } from 'lucide-react';
+import { preparePhoto, uploadPhoto, isNetworkError } from './photos';
+
+export const MAX_PHOTOS = 10;
+
+const isImageFile = (file) => file.type.startsWith('image/') || /\.(heic|heif)$/i.test(file.name);
+
+const STATUS_LABELS = { waiting: '대기 중', processing: '변환 중', uploading: '업로드 중' };
+
+let nextUploadId = 0;
+
+// 활동 사진 올리기: 클릭·드래그·붙여넣기, 파일별 진행률과 재시도, 끌어서 순서 바꾸기.
+// 첫 번째 사진이 목록에 보이는 대표 사진
+const PhotoUploader = ({ inputId, photos, onChange, onRemove, onOpen, photoSrc, saveOffline }) => {
+  const [uploads, setUploads] = useState([]);
+  const [dragOver, setDragOver] = useState(false);
+  const [dropTarget, setDropTarget] = useState(null);
+  const dragIndexRef = useRef(null);
+  const mountedRef = useRef(true);
+
+  // 모달을 닫은 뒤 끝난 업로드는 다음에 여는 폼에 붙지 않도록 무시
+  // (이미 올라간 파일은 어떤 기록에도 연결되지 않으므로 관리자 저장공간 정리에서 지울 수 있음)
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const updateUpload = (id, changes) => {
+    setUploads(prev => prev.map(upload => (upload.id === id ? { ...upload, ...changes } : upload)));
+  };
+
+  const runUpload = async (upload) => {
+    let variants = upload.variants;
+    updateUpload(upload.id, { status: variants ? 'uploading' : 'processing', progress: 0, error: null });
+
+    // 1) 크기별 변환 (방향 보정, 메타데이터 제거). 재시도할 때는 변환해 둔 파일을 그대로 사용
+    if (!variants) {
+      try {
+        variants = await preparePhoto(upload.file);
+        if (!mountedRef.current) return;
+        updateUpload(upload.id, { status: 'uploading', variants });
+      } catch (error) {
+        console.error('사진 변환 에러:', error);
+        updateUpload(upload.id, { status: 'failed', error: '읽을 수 없는 사진입니다. JPG나 PNG로 바꿔주세요.' });
+        return;
+      }
+    }
+
+    // 2) Supabase Storage 업로드 → URL을 목록에 추가
+    try {
+      const publicUrl = await uploadPhoto(variants, (progress) => updateUpload(upload.id, { progress }));
+      if (!mountedRef.current) return;
+      onChange(prev => [...prev, publicUrl]);
+    } catch (error) {
+      if (!mountedRef.current) return;
+      // 새 기록 작성 중 오프라인이면 기기에 보관했다가 기록과 함께 업로드
+      if (!saveOffline || !isNetworkError(error)) {
+        console.error('Upload error:', error);
+        updateUpload(upload.id, { status: 'failed', error: '업로드에 실패했습니다.' });
+        return;
+      }
+      try {
+        const key = await saveOffline(variants.full);
+        if (!mountedRef.current) return;
+        onChange(prev => [...prev, key]);
+      } catch (saveError) {
+        // 기기 저장공간이 부족하거나 사생활 보호 모드라 IndexedDB를 못 쓰는 경우
+        console.error('사진 기기 저장 에러:', saveError);
+        if (mountedRef.current) {
+          updateUpload(upload.id, { status: 'failed', error: '오프라인이라 업로드하지 못했고 기기에도 저장하지 못했습니다.' });
+        }
+        return;
+      }
+    }
+    setUploads(prev => prev.filter(item => item.id !== upload.id));
+  };
+
+  const addFiles = async (files) => {
+    const images = files.filter(isImageFile);
+    if (images.length === 0) return;
+
+    const remainingSlots = Math.max(0, MAX_PHOTOS - photos.length - uploads.length);
+    const filesToAdd = images.slice(0, remainingSlots);
+    if (images.length > remainingSlots) {
+      alert(`최대 ${MAX_PHOTOS}장까지만 업로드할 수 있습니다. ${filesToAdd.length}장이 추가되었습니다.`);
+    }
+
+    const queued = filesToAdd.map(file => ({
+      id: nextUploadId++,
+      file,
+      name: file.name,
+      status: 'waiting',
+      progress: 0
+    }));
+    setUploads(prev => [...prev, ...queued]);
+
+    // 한 장씩 차례로 (큰 사진 여러 장을 한꺼번에 디코딩하면 휴대폰 메모리가 부족함)
+    for (const upload of queued) {
+      if (!mountedRef.current) return;
+      await runUpload(upload);
+    }
+  };
+
+  // 모달이 열려 있는 동안 클립보드 이미지 붙여넣기
+  useEffect(() => {
+    const handlePaste = (e) => {
+      const files = Array.from(e.clipboardData?.files || []);
+      if (!files.some(isImageFile)) return;
+      e.preventDefault();
+      addFiles(files);
+    };
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  });
+
+  const movePhoto = (from, to) => {
+    if (from === to) return;
+    onChange(prev => {
+      const next = [...prev];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    addFiles(Array.from(e.dataTransfer.files));
+  };
+
+  return (
+    <div>
+      <div
+        onClick={() => document.getElementById(inputId).click()}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragOver(e.dataTransfer.types.includes('Files'));
+        }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={handleDrop}
+        className={`border-2 border-dashed rounded-lg p-8 text-center cursor-pointer transition-colors ${
+          dragOver ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-blue-500 bg-gray-50 hover:bg-blue-50'
+        }`}
+      >
+        <input
+          id={inputId}
+          type="file"
+          accept="image/*,.heic,.heif"
+          multiple
+          onChange={(e) => {
+            addFiles(Array.from(e.target.files));
+            e.target.value = ''; // 같은 파일을 다시 고를 수 있도록
+          }}
+          className="hidden"
+        />
+        <Upload size={40} className="mx-auto mb-4 text-gray-400" />
+        <p className="text-gray-600 font-medium mb-2">사진을 업로드해주세요</p>
+        <p className="text-sm text-gray-500">클릭, 드래그 또는 붙여넣기(Ctrl+V)로 업로드 (최대 {MAX_PHOTOS}장)</p>
+      </div>
+
+      {uploads.length > 0 && (
+        <ul className="mt-3 space-y-2">
+          {uploads.map(upload => (
+            <li key={upload.id} className="flex items-center gap-3 text-sm">
+              <span className="flex-1 truncate text-gray-700">{upload.name}</span>
+              {upload.status === 'failed' ? (
+                <>
+                  <span className="text-xs text-red-500">{upload.error}</span>
+                  <button
+                    onClick={() => runUpload(upload)}
+                    className="text-blue-600 hover:text-blue-700 flex items-center gap-1 text-xs whitespace-nowrap"
+                  >
+                    <RefreshCw size={12} />
+                    다시 시도
+                  </button>
+                  <button
+                    onClick={() => setUploads(prev => prev.filter(item => item.id !== upload.id))}
+                    className="text-gray-400 hover:text-gray-600"
+                  >
+                    <X size={14} />
+                  </button>
+                </>
+              ) : (
+                <>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">{STATUS_LABELS[upload.status]}</span>
+                  <div className="w-24 h-2 bg-gray-100 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-blue-500 rounded-full transition-all"
+                      style={{ width: `${Math.round(upload.progress * 100)}%` }}
+                    />
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {photos.length > 0 && (
+        <>
+          <div className="grid grid-cols-5 gap-2 mt-4">
+            {photos.map((photo, index) => (
+              <div
+                key={photo}
+                draggable
+                onDragStart={() => {
+                  dragIndexRef.current = index;
+                }}
+                onDragOver={(e) => {
+                  if (dragIndexRef.current === null) return;
+                  e.preventDefault();
+                  setDropTarget(index);
+                }}
+                onDragLeave={() => setDropTarget(null)}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  movePhoto(dragIndexRef.current, index);
+                  dragIndexRef.current = null;
+                  setDropTarget(null);
+                }}
+                onDragEnd={() => {
+                  dragIndexRef.current = null;
+                  setDropTarget(null);
+                }}
+                className={`relative aspect-square rounded-lg ${dropTarget === index ? 'ring-2 ring-blue-500' : ''}`}
+              >
+                <img
+                  src={photoSrc(photo)}
+                  alt={`미리보기 ${index + 1}`}
+                  draggable={false}
+                  className="w-full h-full object-cover rounded-lg cursor-pointer"
+                  onClick={() => onOpen(index)}
+                />
+                {index === 0 ? (
+                  <span className="absolute bottom-1 left-1 bg-yellow-400 text-white text-[10px] font-semibold px-1.5 py-0.5 rounded">
+                    대표
+                  </span>
+                ) : (
+                  <button
+                    onClick={() => movePhoto(index, 0)}
+                    title="대표 사진으로"
+                    className="absolute bottom-1 left-1 bg-black/40 hover:bg-yellow-400 text-white rounded-full p-1 transition-colors"
+                  >
+                    <Star size={12} />
+                  </button>
+                )}
+                {/* 터치 화면에서는 끌어서 옮길 수 없으므로 버튼으로도 한 칸씩 옮김 */}
+                {photos.length > 1 && (
+                  <div className="absolute bottom-1 right-1 flex gap-0.5">
+                    {index > 0 && (
+                      <button
+                        onClick={() => movePhoto(index, index - 1)}
+                        title="앞으로"
+                        className="bg-black/40 hover:bg-blue-500 text-white rounded-full p-1 transition-colors"
+                      >
+                        <ChevronLeft size={12} />
+                      </button>
+                    )}
+                    {index < photos.length - 1 && (
+                      <button
+                        onClick={() => movePhoto(index, index + 1)}
+                        title="뒤로"
+                        className="bg-black/40 hover:bg-blue-500 text-white rounded-full p-1 transition-colors"
+                      >
+                        <ChevronRight size={12} />
+                      </button>
+                    )}
+                  </div>
+                )}
+                <button
+                  onClick={() => onRemove(index)}
+                  className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-6 h-6 flex items-center justify-center text-sm hover:bg-red-600 transition-colors"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+          {photos.length > 1 && (
+            <p className="text-xs text-gray-500 mt-2">사진을 끌거나 ‹ › 버튼으로 순서를 바꿀 수 있어요. ☆를 누르면 대표 사진이 됩니다.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PhotoUploader;
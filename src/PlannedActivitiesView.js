@@ -0,0 +1,408 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CalendarDays, Plus, MapPin, Clock, UserPlus, Trash2, Shield, FileText, X } from 'lucide-react';
+import { supabaseClient, INVALID_PASSWORD } from './supabase';
+import { formatDateKorean, localDateString } from './format';
+
+const ACTIVITY_COLUMNS =
+  'id, created_at, date, name, organization, location, hours, description, author_name, record_id, rsvps(id, created_at, nickname)';
+const RSVP_COLUMNS = 'id, created_at, activity_id, nickname';
+
+const EMPTY_FORM = {
+  date: '',
+  name: '',
+  organization: '',
+  location: '',
+  hours: '',
+  description: '',
+  author_name: '',
+  author_password: ''
+};
+
+// 예정된 활동: 올리기, 닉네임+비밀번호로 참가 신청, 끝난 활동은 기록으로 옮기기
+const PlannedActivitiesView = ({ groupId, isAdmin, onOpenRecord, onConverted }) => {
+  const [activities, setActivities] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [signups, setSignups] = useState({}); // activityId → { nickname, password }
+  const [passwordAction, setPasswordAction] = useState(null); // { title, description, hours?, run, done }
+  const [password, setPassword] = useState('');
+
+  const loadActivities = useCallback(async () => {
+    const { data, error } = await supabaseClient
+      .from('planned_activities')
+      .select(ACTIVITY_COLUMNS)
+      .eq('group_id', groupId)
+      .is('record_id', null)
+      .order('date', { ascending: true });
+    if (error) {
+      console.error('예정된 활동 불러오기 에러:', error);
+    }
+    setActivities(data || []);
+    setLoading(false);
+  }, [groupId]);
+
+  useEffect(() => {
+    loadActivities();
+  }, [loadActivities]);
+
+  const handleFormChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const addActivity = async () => {
+    const { date, name, organization, author_name, author_password } = form;
+    if (!date || !name.trim() || !organization.trim() || !author_name.trim() || !author_password) {
+      alert('날짜, 활동 이름, 기관/단체, 작성자, 비밀번호를 입력해주세요.');
+      return;
+    }
+    if (date < localDateString()) {
+      alert('지난 날짜의 활동은 바로 기록으로 등록해주세요.');
+      return;
+    }
+
+    const { error } = await supabaseClient.from('planned_activities').insert([{
+      group_id: groupId,
+      date,
+      name: name.trim(),
+      organization: organization.trim(),
+      location: form.location || null,
+      hours: form.hours ? parseFloat(form.hours) : null,
+      description: form.description || null,
+      author_name: author_name.trim(),
+      author_password
+    }]);
+    if (error) {
+      console.error('예정된 활동 등록 실패:', error);
+      alert('예정된 활동 등록에 실패했습니다.');
+      return;
+    }
+
+    setForm(EMPTY_FORM);
+    setShowForm(false);
+    await loadActivities();
+  };
+
+  const signUp = async (activity) => {
+    const { nickname = '', password: signupPassword = '' } = signups[activity.id] || {};
+    if (!nickname.trim() || !signupPassword) {
+      alert('닉네임과 비밀번호를 입력해주세요.');
+      return;
+    }
+
+    const { data, error } = await supabaseClient
+      .from('rsvps')
+      .insert([{ activity_id: activity.id, nickname: nickname.trim(), password: signupPassword }])
+      .select(RSVP_COLUMNS)
+      .single();
+    if (error) {
+      if (error.code === '23505') {
+        alert('이미 같은 닉네임으로 신청했습니다.');
+        return;
+      }
+      console.error('참가 신청 실패:', error);
+      alert('참가 신청에 실패했습니다.');
+      return;
+    }
+
+    setActivities(prev => prev.map(a => (a.id === activity.id ? { ...a, rsvps: [...a.rsvps, data] } : a)));
+    setSignups(prev => ({ ...prev, [activity.id]: { nickname: '', password: '' } }));
+  };
+
+  const handleSignupChange = (activityId, field, value) => {
+    setSignups(prev => ({ ...prev, [activityId]: { ...prev[activityId], [field]: value } }));
+  };
+
+  // 비밀번호가 필요한 작업은 같은 모달에서 확인 후 실행
+  const askPassword = (action) => {
+    setPassword('');
+    setPasswordAction(action);
+  };
+
+  const runPasswordAction = async () => {
+    if (!password) {
+      alert('비밀번호를 입력해주세요.');
+      return;
+    }
+    const { data, error } = await passwordAction.run(password, passwordAction);
+    if (error) {
+      if (error.code === INVALID_PASSWORD) {
+        alert('비밀번호가 틀렸습니다.');
+        return;
+      }
+      console.error(`${passwordAction.title} 실패:`, error);
+      alert(`${passwordAction.title}에 실패했습니다.`);
+      return;
+    }
+    const { done } = passwordAction;
+    setPasswordAction(null);
+    setPassword('');
+    done(data);
+  };
+
+  const cancelRsvp = (activity, rsvp) => {
+    askPassword({
+      title: '신청 취소',
+      description: `${rsvp.nickname}님의 참가 신청을 취소합니다.`,
+      run: (pw) => supabaseClient.rpc('cancel_rsvp', { p_id: rsvp.id, p_password: pw }),
+      done: () => {
+        setActivities(prev => prev.map(a => (
+          a.id === activity.id ? { ...a, rsvps: a.rsvps.filter(r => r.id !== rsvp.id) } : a
+        )));
+      }
+    });
+  };
+
+  const deleteActivity = (activity) => {
+    askPassword({
+      title: '활동 삭제',
+      description: `'${activity.name}' 활동과 참가 신청 ${activity.rsvps.length}건을 삭제합니다.`,
+      run: (pw) => supabaseClient.rpc('delete_planned_activity', { p_id: activity.id, p_password: pw }),
+      done: () => setActivities(prev => prev.filter(a => a.id !== activity.id))
+    });
+  };
+
+  const adminDeleteActivity = async (activity) => {
+    if (!window.confirm(`'${activity.name}' 활동을 삭제할까요?`)) return;
+    const { error } = await supabaseClient.from('planned_activities').delete().eq('id', activity.id);
+    if (error) {
+      console.error('활동 삭제 실패:', error);
+      alert('활동 삭제에 실패했습니다.');
+      return;
+    }
+    setActivities(prev => prev.filter(a => a.id !== activity.id));
+  };
+
+  const convertActivity = (activity) => {
+    askPassword({
+      title: '기록으로 옮기기',
+      description: `신청자 ${activity.rsvps.length}명을 참석자로 넣어 봉사 기록을 만듭니다. 사진은 기록을 수정해서 추가해주세요.`,
+      hours: activity.hours != null ? activity.hours.toString() : '',
+      run: (pw, { hours }) => supabaseClient.rpc('convert_planned_activity', {
+        p_id: activity.id,
+        p_password: pw,
+        p_hours: hours ? parseFloat(hours) : null
+      }),
+      done: (recordId) => {
+        setActivities(prev => prev.filter(a => a.id !== activity.id));
+        onConverted();
+        onOpenRecord(recordId);
+      }
+    });
+  };
+
+  const today = localDateString();
+  const inputClass = 'w-full p-3 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors';
+
+  return (
+    <div className="space-y-5">
+      <div className="bg-white rounded-xl shadow-sm p-5">
+        <div className="flex justify-between items-center">
+          <div className="flex items-center gap-2">
+            <CalendarDays size={20} className="text-gray-600" />
+            <h2 className="text-xl font-semibold text-gray-800">예정된 활동</h2>
+          </div>
+          <button
+            onClick={() => setShowForm(prev => !prev)}
+            className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 transition-all whitespace-nowrap"
+          >
+            <Plus size={16} />
+            <span>활동 올리기</span>
+          </button>
+        </div>
+
+        {showForm && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mt-5">
+            <input type="date" min={today} value={form.date} onChange={(e) => handleFormChange('date', e.target.value)} className={inputClass} />
+            <input type="text" placeholder="활동 이름 *" value={form.name} onChange={(e) => handleFormChange('name', e.target.value)} className={inputClass} />
+            <input
+              type="text"
+              placeholder="기관/단체 *"
+              list="organization-options"
+              autoComplete="off"
+              value={form.organization}
+              onChange={(e) => handleFormChange('organization', e.target.value)}
+              className={inputClass}
+            />
+            <input type="text" placeholder="활동 장소" value={form.location} onChange={(e) => handleFormChange('location', e.target.value)} className={inputClass} />
+            <input type="number" min="0" step="0.5" placeholder="예상 시간" value={form.hours} onChange={(e) => handleFormChange('hours', e.target.value)} className={inputClass} />
+            <textarea
+              placeholder="안내 사항 (모이는 곳, 준비물 등)"
+              rows={2}
+              value={form.description}
+              onChange={(e) => handleFormChange('description', e.target.value)}
+              className={`${inputClass} md:col-span-2`}
+            />
+            <input type="text" placeholder="작성자 *" value={form.author_name} onChange={(e) => handleFormChange('author_name', e.target.value)} className={inputClass} />
+            <input
+              type="password"
+              placeholder="비밀번호 * (기록으로 옮길 때 사용)"
+              value={form.author_password}
+              onChange={(e) => handleFormChange('author_password', e.target.value)}
+              className={inputClass}
+            />
+            <button
+              onClick={addActivity}
+              className="md:col-span-2 bg-blue-500 hover:bg-blue-600 text-white py-3 rounded-lg font-semibold transition-colors"
+            >
+              올리기
+            </button>
+          </div>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="bg-white rounded-xl shadow-sm p-16 text-center text-gray-500">불러오는 중...</div>
+      ) : activities.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-sm p-16 text-center text-gray-500">예정된 활동이 없습니다.</div>
+      ) : (
+        activities.map(activity => {
+          const isPast = activity.date <= today;
+          const signup = signups[activity.id] || { nickname: '', password: '' };
+          return (
+            <div key={activity.id} className="bg-white rounded-xl shadow-sm p-5">
+              <div className="flex justify-between items-start gap-3 mb-3">
+                <div className="min-w-0">
+                  <p className={`text-sm font-semibold ${isPast ? 'text-gray-500' : 'text-blue-600'}`}>
+                    {formatDateKorean(activity.date)}{isPast && activity.date < today ? ' (지난 활동)' : ''}
+                  </p>
+                  <h3 className="text-lg font-bold text-gray-800">{activity.name}</h3>
+                  <p className="text-sm text-gray-600">{activity.organization}</p>
+                </div>
+                <div className="flex gap-1 shrink-0">
+                  <button
+                    onClick={() => deleteActivity(activity)}
+                    className="text-gray-400 hover:text-red-500 p-1"
+                    aria-label="활동 삭제"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                  {isAdmin && (
+                    <button
+                      onClick={() => adminDeleteActivity(activity)}
+                      className="text-gray-400 hover:text-red-500 p-1"
+                      aria-label="관리자 삭제"
+                    >
+                      <Shield size={16} />
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <div className="flex flex-wrap gap-4 text-sm text-gray-600 mb-3">
+                {activity.location && (
+                  <span className="flex items-center gap-1"><MapPin size={14} />{activity.location}</span>
+                )}
+                {activity.hours != null && (
+                  <span className="flex items-center gap-1"><Clock size={14} />약 {activity.hours}시간</span>
+                )}
+                <span className="text-gray-400">올린 사람: {activity.author_name}</span>
+              </div>
+              {activity.description && (
+                <p className="text-sm text-gray-700 bg-gray-50 p-3 rounded-lg mb-3 whitespace-pre-wrap">{activity.description}</p>
+              )}
+
+              <div className="border-t border-gray-100 pt-3">
+                <p className="text-sm font-semibold text-gray-700 mb-2">참가 신청 {activity.rsvps.length}명</p>
+                {activity.rsvps.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mb-3">
+                    {[...activity.rsvps].sort((a, b) => new Date(a.created_at) - new Date(b.created_at)).map(rsvp => (
+                      <span key={rsvp.id} className="flex items-center gap-1 bg-blue-50 text-blue-700 rounded-full pl-3 pr-2 py-1 text-sm">
+                        {rsvp.nickname}
+                        <button
+                          onClick={() => cancelRsvp(activity, rsvp)}
+                          className="text-blue-300 hover:text-red-500"
+                          aria-label="신청 취소"
+                        >
+                          <X size={12} />
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+
+                {isPast ? (
+                  <button
+                    onClick={() => convertActivity(activity)}
+                    className="w-full bg-green-500 hover:bg-green-600 text-white py-2 rounded-lg font-medium flex items-center justify-center gap-2 transition-colors"
+                  >
+                    <FileText size={16} />
+                    기록으로 옮기기
+                  </button>
+                ) : (
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      placeholder="닉네임"
+                      value={signup.nickname}
+                      onChange={(e) => handleSignupChange(activity.id, 'nickname', e.target.value)}
+                      className="flex-1 min-w-0 p-2 border border-gray-200 rounded-lg text-sm"
+                    />
+                    <input
+                      type="password"
+                      placeholder="비밀번호"
+                      value={signup.password}
+                      onChange={(e) => handleSignupChange(activity.id, 'password', e.target.value)}
+                      className="flex-1 min-w-0 p-2 border border-gray-200 rounded-lg text-sm"
+                    />
+                    <button
+                      onClick={() => signUp(activity)}
+                      className="bg-blue-500 hover:bg-blue-600 text-white px-3 py-2 rounded-lg text-sm flex items-center gap-1 whitespace-nowrap transition-colors"
+                    >
+                      <UserPlus size={14} />
+                      신청
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+          );
+        })
+      )}
+
+      {/* 비밀번호 확인 모달 */}
+      {passwordAction && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-xl max-w-md w-full p-6">
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">{passwordAction.title}</h3>
+            <p className="text-sm text-gray-600 mb-4">{passwordAction.description}</p>
+            {passwordAction.hours !== undefined && (
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                placeholder="실제 봉사 시간"
+                value={passwordAction.hours}
+                onChange={(e) => setPasswordAction(prev => ({ ...prev, hours: e.target.value }))}
+                className="w-full p-3 border border-gray-200 rounded-lg mb-3"
+              />
+            )}
+            <input
+              type="password"
+              placeholder="비밀번호"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full p-3 border border-gray-200 rounded-lg mb-4"
+            />
+            <div className="flex gap-3">
+              <button
+                onClick={() => setPasswordAction(null)}
+                className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 py-2 px-4 rounded-lg transition-colors"
+              >
+                취소
+              </button>
+              <button
+                onClick={runPasswordAction}
+                className="flex-1 bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg transition-colors"
+              >
+                확인
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlannedActivitiesView;
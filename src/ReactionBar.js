@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { SmilePlus } from 'lucide-react';
+import { REACTION_EMOJIS } from './reactions';
+
+// 눌린 반응과 개수, 그리고 반응 고르기 버튼
+const ReactionBar = ({ reactions = [], onToggle }) => {
+  const [showPicker, setShowPicker] = useState(false);
+
+  const pick = (emoji) => {
+    setShowPicker(false);
+    onToggle(emoji);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      {reactions.map(({ emoji, count, mine }) => (
+        <button
+          key={emoji}
+          onClick={() => onToggle(emoji)}
+          className={`px-2 py-0.5 rounded-full border text-sm transition-colors ${
+            mine ? 'bg-blue-50 border-blue-300 text-blue-700' : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
+          }`}
+        >
+          {emoji} {count}
+        </button>
+      ))}
+      <div className="relative">
+        <button
+          onClick={() => setShowPicker(prev => !prev)}
+          aria-label="반응 남기기"
+          className="p-1 rounded-full text-gray-400 hover:text-gray-600 hover:bg-gray-100 transition-colors"
+        >
+          <SmilePlus size={16} />
+        </button>
+        {showPicker && (
+          <div className="absolute left-0 bottom-full mb-1 bg-white border border-gray-200 rounded-full shadow-md px-2 py-1 flex gap-1 z-10">
+            {REACTION_EMOJIS.map(emoji => (
+              <button
+                key={emoji}
+                onClick={() => pick(emoji)}
+                className="text-lg hover:scale-125 transition-transform"
+              >
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReactionBar;
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { Search, Filter, X } from 'lucide-react';
+import { hasActiveFilters } from './searchQuery';
+
+// 검색창 + 상세 필터 (기관, 기간, 장소, 최소 시간)
+const RecordFilters = ({ filters, onChange, onReset }) => {
+  const [showDetail, setShowDetail] = useState(false);
+
+  const handleChange = (field, value) => {
+    onChange({ ...filters, [field]: value });
+  };
+
+  return (
+    <div className="p-5 border-b border-gray-100">
+      <div className="flex gap-2">
+        <div className="relative flex-1">
+          <Search size={16} className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            value={filters.keyword}
+            onChange={(e) => handleChange('keyword', e.target.value)}
+            placeholder="활동 이름, 기관, 장소, 참석자, 내용 검색"
+            className="w-full pl-9 pr-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+          />
+        </div>
+        <button
+          onClick={() => setShowDetail(prev => !prev)}
+          className={`px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 border transition-colors whitespace-nowrap ${
+            showDetail ? 'bg-blue-50 border-blue-200 text-blue-700' : 'bg-gray-100 border-gray-200 text-gray-700 hover:bg-gray-200'
+          }`}
+        >
+          <Filter size={16} />
+          <span>필터</span>
+        </button>
+        {hasActiveFilters(filters) && (
+          <button
+            onClick={onReset}
+            className="text-gray-400 hover:text-gray-600 px-2 transition-colors"
+            title="조건 초기화"
+          >
+            <X size={18} />
+          </button>
+        )}
+      </div>
+
+      {showDetail && (
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mt-3">
+          <input
+            type="text"
+            value={filters.organization}
+            onChange={(e) => handleChange('organization', e.target.value)}
+            placeholder="기관/단체"
+            className="p-2 border border-gray-200 rounded-lg text-sm"
+          />
+          <input
+            type="text"
+            value={filters.location}
+            onChange={(e) => handleChange('location', e.target.value)}
+            placeholder="활동 장소"
+            className="p-2 border border-gray-200 rounded-lg text-sm"
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={filters.minHours}
+            onChange={(e) => handleChange('minHours', e.target.value)}
+            placeholder="최소 봉사 시간"
+            className="p-2 border border-gray-200 rounded-lg text-sm"
+          />
+          <label className="text-xs text-gray-500">
+            시작일
+            <input
+              type="date"
+              value={filters.dateFrom}
+              onChange={(e) => handleChange('dateFrom', e.target.value)}
+              className="w-full p-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+            />
+          </label>
+          <label className="text-xs text-gray-500">
+            종료일
+            <input
+              type="date"
+              value={filters.dateTo}
+              onChange={(e) => handleChange('dateTo', e.target.value)}
+              className="w-full p-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecordFilters;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { Layers, X } from 'lucide-react';
+import { supabaseClient } from './supabase';
+
+const TEMPLATE_COLUMNS = 'id, title, name, organization, hours, location, description, participant_list';
+
+// 등록 모달 상단: 저장된 활동 템플릿으로 시작하거나, 지금 입력한 내용을 템플릿으로 저장
+const RecordTemplates = ({ groupId, formData, onApply, isAdmin }) => {
+  const [templates, setTemplates] = useState([]);
+
+  useEffect(() => {
+    supabaseClient
+      .from('record_templates')
+      .select(TEMPLATE_COLUMNS)
+      .eq('group_id', groupId)
+      .order('title')
+      .then(({ data, error }) => {
+        if (error) {
+          console.error('템플릿 불러오기 에러:', error);
+          return;
+        }
+        setTemplates(data || []);
+      });
+  }, [groupId]);
+
+  const saveTemplate = async () => {
+    if (!formData.name.trim() || !formData.organization.trim()) {
+      alert('활동 이름과 기관/단체를 입력한 뒤 템플릿으로 저장할 수 있습니다.');
+      return;
+    }
+    const title = window.prompt('템플릿 이름을 입력해주세요.', formData.name.trim());
+    if (!title || !title.trim()) return;
+
+    const { data, error } = await supabaseClient
+      .from('record_templates')
+      .insert([{
+        group_id: groupId,
+        title: title.trim(),
+        name: formData.name.trim(),
+        organization: formData.organization.trim(),
+        hours: formData.hours ? parseFloat(formData.hours) : null,
+        location: formData.location || null,
+        description: formData.description || null,
+        participant_list: formData.participantList.map(p => ({
+          name: p.name,
+          hours: p.hours === '' ? null : parseFloat(p.hours)
+        }))
+      }])
+      .select(TEMPLATE_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('템플릿 저장 실패:', error);
+      alert('템플릿 저장에 실패했습니다.');
+      return;
+    }
+    setTemplates(prev => [...prev, data].sort((a, b) => a.title.localeCompare(b.title)));
+    alert('템플릿으로 저장했습니다.');
+  };
+
+  const deleteTemplate = async (template) => {
+    if (!window.confirm(`'${template.title}' 템플릿을 삭제할까요?`)) return;
+
+    const { error } = await supabaseClient.from('record_templates').delete().eq('id', template.id);
+    if (error) {
+      console.error('템플릿 삭제 실패:', error);
+      alert('템플릿 삭제에 실패했습니다.');
+      return;
+    }
+    setTemplates(prev => prev.filter(t => t.id !== template.id));
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-3 mb-6">
+      <div className="flex justify-between items-center mb-2">
+        <span className="text-sm font-semibold text-gray-700 flex items-center gap-1">
+          <Layers size={16} />
+          템플릿
+        </span>
+        <button onClick={saveTemplate} className="text-xs text-blue-600 hover:underline">
+          지금 내용을 템플릿으로 저장
+        </button>
+      </div>
+      {templates.length === 0 ? (
+        <p className="text-xs text-gray-500">저장된 템플릿이 없습니다. 정기 활동을 템플릿으로 저장해 두면 다음부터 바로 불러올 수 있어요.</p>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          {templates.map(template => (
+            <span key={template.id} className="flex items-center bg-white border border-gray-200 rounded-full text-sm">
+              <button
+                onClick={() => onApply(template)}
+                className="px-3 py-1 text-gray-700 hover:text-blue-600"
+              >
+                {template.title}
+              </button>
+              {isAdmin && (
+                <button
+                  onClick={() => deleteTemplate(template)}
+                  className="pr-2 text-gray-400 hover:text-red-500"
+                  aria-label="템플릿 삭제"
+                >
+                  <X size={12} />
+                </button>
+              )}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecordTemplates;
@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react';
+import { Users, ArrowLeft, FileText } from 'lucide-react';
+import { supabaseClient } from './supabase';
+import { formatDateKorean } from './format';
+
+const currentYear = new Date().getFullYear();
+const YEAR_OPTIONS = [currentYear, currentYear - 1, currentYear - 2, currentYear - 3];
+
+// 봉사자 명단: 사람별 누적 시간과 활동 이력
+const RosterView = ({ groupId, onSelectRecord, onIssueCertificate }) => {
+  const [year, setYear] = useState(currentYear);
+  const [totals, setTotals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedPerson, setSelectedPerson] = useState(null);
+  const [history, setHistory] = useState([]);
+
+  useEffect(() => {
+    const loadTotals = async () => {
+      setLoading(true);
+      const { data, error } = await supabaseClient.rpc('person_totals', {
+        p_year: year === 'all' ? null : year,
+        p_group_id: groupId
+      });
+      if (error) {
+        console.error('명단 불러오기 에러:', error);
+      }
+      setTotals(data || []);
+      setLoading(false);
+    };
+    loadTotals();
+  }, [groupId, year]);
+
+  const openPerson = async (person) => {
+    setSelectedPerson(person);
+    setHistory([]);
+
+    const { data, error } = await supabaseClient
+      .from('record_participants')
+      .select('hours, records!inner(id, date, name, organization, hours)')
+      .eq('person_id', person.person_id)
+      .eq('records.group_id', groupId);
+
+    if (error) {
+      console.error('활동 이력 불러오기 에러:', error);
+      return;
+    }
+
+    const items = (data || [])
+      .filter(item => item.records)
+      .filter(item => year === 'all' || new Date(item.records.date).getFullYear() === year)
+      .sort((a, b) => new Date(b.records.date) - new Date(a.records.date));
+    setHistory(items);
+  };
+
+  if (selectedPerson) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+        <div className="p-5 border-b border-gray-100 flex items-center gap-3">
+          <button
+            onClick={() => setSelectedPerson(null)}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-700 p-2 rounded-lg transition-colors"
+          >
+            <ArrowLeft size={18} />
+          </button>
+          <div className="flex-1">
+            <h2 className="text-xl font-semibold text-gray-800">{selectedPerson.name}</h2>
+            <p className="text-sm text-gray-500">
+              {year === 'all' ? '전체 기간' : `${year}년`} · {selectedPerson.activity_count}회 · {selectedPerson.total_hours}시간
+            </p>
+          </div>
+          <button
+            onClick={() => onIssueCertificate(selectedPerson.person_id)}
+            className="bg-blue-500 hover:bg-blue-600 text-white px-3 py-2 rounded-lg text-sm flex items-center gap-1 transition-colors whitespace-nowrap"
+          >
+            <FileText size={16} />
+            확인서 발급
+          </button>
+        </div>
+        <ul className="divide-y divide-gray-100">
+          {history.map(item => (
+            <li
+              key={item.records.id}
+              onClick={() => onSelectRecord(item.records.id)}
+              className="p-4 flex justify-between items-center cursor-pointer hover:bg-gray-50"
+            >
+              <div>
+                <div className="font-medium text-gray-800">{item.records.name}</div>
+                <div className="text-sm text-gray-500">
+                  {formatDateKorean(item.records.date)} · {item.records.organization}
+                </div>
+              </div>
+              <div className="text-sm font-semibold text-gray-700 whitespace-nowrap">
+                {item.hours ?? item.records.hours}시간
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+      <div className="p-5 border-b border-gray-100 flex justify-between items-center">
+        <div className="flex items-center gap-2">
+          <Users size={20} className="text-gray-600" />
+          <h2 className="text-xl font-semibold text-gray-800">봉사자 명단</h2>
+        </div>
+        <select
+          value={year}
+          onChange={(e) => setYear(e.target.value === 'all' ? 'all' : Number(e.target.value))}
+          className="bg-gray-100 border border-gray-200 rounded-lg px-3 py-2 text-sm font-medium text-gray-700"
+        >
+          {YEAR_OPTIONS.map(y => (
+            <option key={y} value={y}>{y}년</option>
+          ))}
+          <option value="all">전체 기간</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="p-16 text-center text-gray-500">불러오는 중...</div>
+      ) : totals.length === 0 ? (
+        <div className="p-16 text-center text-gray-500">이 기간에 등록된 참석자가 없습니다</div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="text-left p-3 font-semibold">이름</th>
+              <th className="text-right p-3 font-semibold">활동 수</th>
+              <th className="text-right p-3 font-semibold">총 시간</th>
+              <th className="text-right p-3 font-semibold hidden md:table-cell">최근 활동</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {totals.map(person => (
+              <tr
+                key={person.person_id}
+                onClick={() => openPerson(person)}
+                className="cursor-pointer hover:bg-gray-50"
+              >
+                <td className="p-3 font-medium text-gray-800">{person.name}</td>
+                <td className="p-3 text-right text-gray-700">{person.activity_count}회</td>
+                <td className="p-3 text-right font-semibold text-gray-800">{person.total_hours}시간</td>
+                <td className="p-3 text-right text-gray-500 hidden md:table-cell">
+                  {person.last_date && formatDateKorean(person.last_date)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default RosterView;
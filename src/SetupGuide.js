@@ -0,0 +1,70 @@
+import React from 'react';
+
+// Supabase 환경 변수가 없을 때 보여주는 설정 안내
+const SetupGuide = () => (
+  <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+    <div className="bg-white rounded-xl shadow-lg p-8 max-w-2xl w-full">
+      <div className="text-center">
+        <h1 className="text-2xl font-bold text-gray-800 mb-4">🔧 Supabase 설정이 필요합니다</h1>
+        <div className="text-left bg-gray-100 p-4 rounded-lg mb-6">
+          <p className="font-semibold mb-2">1. Supabase 프로젝트 생성:</p>
+          <p className="text-sm text-gray-600 mb-4">
+            • <a href="https://supabase.com" target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">supabase.com</a>에서 새 프로젝트 생성<br/>
+            • 프로젝트 이름: volunteer-record
+          </p>
+          
+          <p className="font-semibold mb-2">2. 테이블 생성:</p>
+          <p className="text-sm text-gray-600 mb-4">
+            SQL Editor에서 아래 코드를 실행하세요:
+          </p>
+          <pre className="bg-black text-green-400 p-3 rounded text-xs overflow-x-auto mb-4">
+{`-- records 테이블
+CREATE TABLE records (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT NOW(),
+  date DATE,
+  name TEXT,
+  organization TEXT,
+  hours REAL,
+  location TEXT,
+  participants TEXT,
+  description TEXT,
+  author_name TEXT,
+  author_password TEXT,
+  photos TEXT[]
+);
+
+-- comments 테이블  
+CREATE TABLE comments (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT NOW(),
+  record_id BIGINT REFERENCES records(id),
+  nickname TEXT,
+  password TEXT,
+  content TEXT,
+  timestamp TEXT
+);`}
+          </pre>
+          
+          <p className="font-semibold mb-2">3. 보안 설정:</p>
+          <p className="text-sm text-gray-600 mb-4">
+            이어서 저장소의 supabase/migrations 폴더에 있는 SQL 파일을<br/>
+            파일 이름 순서대로 SQL Editor에서 실행하세요.<br/>
+            (로컬 Supabase는 supabase start → supabase db reset 으로 한 번에 적용)
+          </p>
+
+          <p className="font-semibold mb-2">4. 코드 수정:</p>
+          <p className="text-sm text-gray-600">
+            Settings → API에서 URL과 anon key를 복사해서<br/>
+            코드 상단의 SUPABASE_URL과 SUPABASE_ANON_KEY를 교체하세요.
+          </p>
+        </div>
+        <p className="text-sm text-gray-500">
+          설정 완료 후 페이지를 새로고침하세요! 🚀
+        </p>
+      </div>
+    </div>
+  </div>
+);
+
+export default SetupGuide;
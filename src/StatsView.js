@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { BarChart3 } from 'lucide-react';
+
+const MONTH_LABELS = Array.from({ length: 12 }, (_, i) => `${i + 1}월`);
+
+// 세로 막대 차트 (외부 라이브러리 없이 div로 그림)
+const ColumnChart = ({ items, series }) => {
+  const max = Math.max(1, ...items.flatMap(item => series.map(s => item[s.key] || 0)));
+
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-40">
+        {items.map(item => (
+          <div key={item.label} className="flex-1 h-full flex items-end justify-center gap-0.5">
+            {series.map(s => (
+              <div
+                key={s.key}
+                title={`${item.label} ${s.label}: ${item[s.key] || 0}시간`}
+                className={`flex-1 max-w-[1.5rem] rounded-t ${s.color}`}
+                style={{ height: `${((item[s.key] || 0) / max) * 100}%` }}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-1">
+        {items.map(item => (
+          <div key={item.label} className="flex-1 text-center text-[10px] text-gray-500 truncate">{item.label}</div>
+        ))}
+      </div>
+      {series.length > 1 && (
+        <div className="flex justify-center gap-4 mt-3 text-xs text-gray-600">
+          {series.map(s => (
+            <span key={s.key} className="flex items-center gap-1">
+              <span className={`inline-block w-3 h-3 rounded ${s.color}`} />
+              {s.label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// 통계 대시보드: record_stats() 집계 결과로 그림
+const StatsView = ({ stats }) => {
+  const years = (stats?.yearly || []).map(y => y.year);
+  const latestYear = years.length > 0 ? years[years.length - 1] : new Date().getFullYear();
+  const [year, setYear] = useState(latestYear);
+
+  if (!stats) {
+    return <div className="bg-white rounded-xl shadow-sm p-16 text-center text-gray-500">통계를 불러오는 중...</div>;
+  }
+
+  const hoursByMonth = (targetYear) =>
+    MONTH_LABELS.map((_, i) => {
+      const key = `${targetYear}-${String(i + 1).padStart(2, '0')}`;
+      return stats.monthly.find(m => m.month === key)?.hours || 0;
+    });
+
+  const thisYearHours = hoursByMonth(year);
+  const lastYearHours = hoursByMonth(year - 1);
+  const monthlyItems = MONTH_LABELS.map((label, i) => ({
+    label,
+    current: thisYearHours[i],
+    previous: lastYearHours[i]
+  }));
+
+  const thisYearTotal = stats.yearly.find(y => y.year === year)?.hours || 0;
+  const lastYearTotal = stats.yearly.find(y => y.year === year - 1)?.hours || 0;
+  const change = lastYearTotal > 0 ? Math.round(((thisYearTotal - lastYearTotal) / lastYearTotal) * 100) : null;
+  const maxOrgHours = Math.max(1, ...stats.top_organizations.map(o => o.hours || 0));
+
+  return (
+    <div className="space-y-5">
+      <div className="bg-white rounded-xl shadow-sm p-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+        {[
+          { label: '전체 기록', value: `${stats.record_count}개` },
+          { label: '총 봉사 시간', value: `${stats.total_hours}시간` },
+          { label: '활동당 평균', value: `${stats.avg_hours}시간` },
+          { label: '후기 댓글', value: `${stats.comment_count}개` }
+        ].map(card => (
+          <div key={card.label} className="text-center">
+            <div className="text-2xl font-bold text-gray-800">{card.value}</div>
+            <div className="text-sm text-gray-500 mt-1 font-medium">{card.label}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm p-6">
+        <div className="flex justify-between items-center mb-4">
+          <div className="flex items-center gap-2">
+            <BarChart3 size={20} className="text-gray-600" />
+            <h2 className="text-lg font-semibold text-gray-800">월별 봉사 시간</h2>
+          </div>
+          <select
+            value={year}
+            onChange={(e) => setYear(Number(e.target.value))}
+            className="bg-gray-100 border border-gray-200 rounded-lg px-3 py-2 text-sm font-medium text-gray-700"
+          >
+            {(years.length > 0 ? years : [year]).map(y => (
+              <option key={y} value={y}>{y}년</option>
+            ))}
+          </select>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          {year}년 {thisYearTotal}시간
+          {change !== null && (
+            <span className={change >= 0 ? 'text-green-600' : 'text-red-500'}>
+              {' '}(전년 대비 {change >= 0 ? '+' : ''}{change}%)
+            </span>
+          )}
+        </p>
+        <ColumnChart
+          items={monthlyItems}
+          series={[
+            { key: 'previous', label: `${year - 1}년`, color: 'bg-gray-300' },
+            { key: 'current', label: `${year}년`, color: 'bg-blue-500' }
+          ]}
+        />
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm p-6">
+        <h2 className="text-lg font-semibold text-gray-800 mb-4">연도별 봉사 시간</h2>
+        <ColumnChart
+          items={stats.yearly.map(y => ({ label: `${y.year}`, hours: y.hours }))}
+          series={[{ key: 'hours', label: '봉사 시간', color: 'bg-purple-500' }]}
+        />
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm p-6">
+        <h2 className="text-lg font-semibold text-gray-800 mb-4">많이 방문한 기관</h2>
+        <div className="space-y-3">
+          {stats.top_organizations.map(org => (
+            <div key={org.organization}>
+              <div className="flex justify-between text-sm mb-1">
+                <span className="text-gray-800 font-medium">{org.organization}</span>
+                <span className="text-gray-500">{org.count}회 · {org.hours}시간</span>
+              </div>
+              <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-gradient-to-r from-blue-500 to-purple-600 rounded-full"
+                  style={{ width: `${((org.hours || 0) / maxOrgHours) * 100}%` }}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StatsView;
@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { X, HardDrive } from 'lucide-react';
+import { supabaseClient } from './supabase';
+import { PHOTO_BUCKET, storagePaths } from './photos';
+import { loadDraft, listOutbox } from './offlineStore';
+import { formatBytes } from './format';
+
+const REMOVE_CHUNK = 100;
+
+// 이 기기의 초안·업로드 대기함이 쓰는 파일 (다른 사람 기기의 것은 알 수 없어 관리자가 직접 골라 삭제)
+const localPhotoPaths = async () => {
+  const outbox = await listOutbox().catch(() => []);
+  const photos = [...(loadDraft()?.photos || []), ...outbox.flatMap(entry => entry.record.photos)];
+  return new Set(photos.flatMap(storagePaths));
+};
+
+// 관리자 저장공간 정리: 어떤 기록에도 연결되지 않은 사진 파일 중 고른 것만 삭제
+const StorageCleanup = ({ onClose }) => {
+  const [files, setFiles] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [deleting, setDeleting] = useState(false);
+
+  const loadFiles = async () => {
+    const { data, error } = await supabaseClient.rpc('list_orphan_photos');
+    if (error) {
+      console.error('정리 대상 불러오기 에러:', error);
+      alert('저장공간 정보를 불러오지 못했습니다.');
+      return;
+    }
+    const inUse = await localPhotoPaths();
+    setFiles(data.filter(file => !inUse.has(file.name)));
+    setSelected([]);
+  };
+
+  useEffect(() => {
+    loadFiles();
+  }, []);
+
+  const selectedFiles = (files || []).filter(file => selected.includes(file.name));
+  const totalSize = (files || []).reduce((sum, file) => sum + file.size, 0);
+  const selectedSize = selectedFiles.reduce((sum, file) => sum + file.size, 0);
+
+  const toggleFile = (name) => {
+    setSelected(prev => (prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]));
+  };
+
+  const toggleAll = () => {
+    setSelected(prev => (prev.length === files.length ? [] : files.map(file => file.name)));
+  };
+
+  const deleteSelected = async () => {
+    const names = selectedFiles.map(file => file.name);
+    if (!window.confirm(`고른 파일 ${names.length}개(${formatBytes(selectedSize)})를 삭제할까요?\n아직 작성 중인 기록이나 다른 기기의 업로드 대기함 사진일 수 있으니 목록을 확인해주세요.\n삭제한 파일은 되돌릴 수 없습니다.`)) return;
+
+    try {
+      setDeleting(true);
+      for (let i = 0; i < names.length; i += REMOVE_CHUNK) {
+        const { error } = await supabaseClient
+          .storage
+          .from(PHOTO_BUCKET)
+          .remove(names.slice(i, i + REMOVE_CHUNK));
+        if (error) throw error;
+      }
+      alert('정리가 끝났습니다.');
+      await loadFiles();
+    } catch (error) {
+      console.error('파일 삭제 실패:', error);
+      alert('파일 삭제에 실패했습니다.');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-gray-100 flex justify-between items-center">
+          <h2 className="text-xl font-semibold text-gray-800">저장공간 정리</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-6">
+          {files === null ? (
+            <p className="text-center text-gray-500 py-8">확인하는 중...</p>
+          ) : files.length === 0 ? (
+            <div className="text-center py-8">
+              <HardDrive size={40} className="mx-auto mb-4 text-green-500" />
+              <p className="text-gray-600">정리할 파일이 없습니다.</p>
+            </div>
+          ) : (
+            <div>
+              <div className="flex justify-between items-center mb-3">
+                <p className="text-sm text-gray-600">
+                  어떤 기록에도 쓰이지 않는 파일 <span className="font-semibold">{files.length}</span>개 ·
+                  합계 <span className="font-semibold">{formatBytes(totalSize)}</span>
+                </p>
+                <button onClick={toggleAll} className="text-sm text-blue-600 hover:underline whitespace-nowrap">
+                  {selected.length === files.length ? '선택 해제' : '모두 선택'}
+                </button>
+              </div>
+              <ul className="border border-gray-200 rounded-lg divide-y divide-gray-100 text-xs max-h-72 overflow-y-auto mb-4">
+                {files.map(file => (
+                  <li key={file.name}>
+                    <label className="flex items-center gap-2 p-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(file.name)}
+                        onChange={() => toggleFile(file.name)}
+                      />
+                      <span className="text-gray-700 truncate flex-1">{file.name}</span>
+                      <span className="text-gray-500 whitespace-nowrap">{new Date(file.created_at).toLocaleDateString('ko-KR')}</span>
+                      <span className="text-gray-500 whitespace-nowrap">{formatBytes(file.size)}</span>
+                    </label>
+                  </li>
+                ))}
+              </ul>
+              <button
+                onClick={deleteSelected}
+                disabled={deleting || selectedFiles.length === 0}
+                className="w-full bg-red-500 hover:bg-red-600 text-white py-2 px-4 rounded-lg transition-colors disabled:opacity-50"
+              >
+                {deleting ? '삭제하는 중...' : `고른 파일 ${selectedFiles.length}개 삭제`}
+              </button>
+            </div>
+          )}
+          <p className="text-xs text-gray-400 mt-4">이 기기의 초안·업로드 대기함 사진과 확인서 직인·로고 이미지는 목록에서 제외됩니다. 다른 사람이 작성 중인 기록의 사진이 있을 수 있으니 올린 날짜를 보고 골라주세요.</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StorageCleanup;
@@ -0,0 +1,11 @@
+// 로그인 없이 같은 브라우저를 구분하기 위한 id (내가 누른 반응, 신고 중복, 댓글 연속 작성 제한)
+const CLIENT_ID_KEY = 'volunteer-record:client-id';
+
+export const getClientId = () => {
+  let id = localStorage.getItem(CLIENT_ID_KEY);
+  if (!id) {
+    id = window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    localStorage.setItem(CLIENT_ID_KEY, id);
+  }
+  return id;
+};
@@ -0,0 +1,55 @@
+// 일괄 가져오기용 CSV 읽기 (XLSX는 spreadsheet.js)
+
+// 따옴표로 감싼 칸(쉼표·줄바꿈·"" 포함)을 지원하고, 빈 줄은 건너뜀
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch !== '"') {
+        field += ch;
+      } else if (source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && source[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  endRow();
+  return rows;
+};
+
+// 한국어 엑셀의 'CSV (쉼표로 분리)'는 CP949로 저장되므로 UTF-8로 읽히지 않으면 EUC-KR로 다시 읽음
+export const readCsvFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    text = new TextDecoder('euc-kr').decode(buffer);
+  }
+  return parseCsv(text);
+};
@@ -0,0 +1,24 @@
+import { parseCsv } from './csv';
+
+describe('parseCsv', () => {
+  test('머리글과 행을 나누고 BOM을 지움', () => {
+    expect(parseCsv('\uFEFF날짜,활동명\r\n2026-03-05,급식 봉사\r\n')).toEqual([
+      ['날짜', '활동명'],
+      ['2026-03-05', '급식 봉사']
+    ]);
+  });
+
+  test('따옴표로 감싼 칸의 쉼표·줄바꿈·따옴표', () => {
+    expect(parseCsv('참석자,내용\n"지민, 서연","첫 줄\n""둘째"" 줄"')).toEqual([
+      ['참석자', '내용'],
+      ['지민, 서연', '첫 줄\n"둘째" 줄']
+    ]);
+  });
+
+  test('빈 줄과 빈 칸만 있는 줄은 건너뛰고 빈 칸은 유지', () => {
+    expect(parseCsv('a,b,c\n\n,,\n1,,3\n')).toEqual([
+      ['a', 'b', 'c'],
+      ['1', '', '3']
+    ]);
+  });
+});
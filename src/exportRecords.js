@@ -0,0 +1,120 @@
+import * as XLSX from 'xlsx';
+import { supabaseClient, RECORD_COLUMNS, PARTICIPANT_COLUMNS } from './supabase';
+import { applyRecordFilters } from './searchQuery';
+import { localDateString } from './format';
+
+const FETCH_CHUNK = 1000; // Supabase 기본 최대 조회 행 수
+
+// 내보내기 양식: 각 포털 업로드 시트의 열 순서에 맞춤
+export const EXPORT_PRESETS = {
+  '1365': {
+    label: '1365 자원봉사포털',
+    columns: [
+      { header: '활동일자', value: (row) => row.date },
+      { header: '활동명', value: (row) => row.name },
+      { header: '봉사기관', value: (row) => row.organization },
+      { header: '봉사시간', value: (row) => row.hours },
+      { header: '활동장소', value: (row) => row.location || '' },
+      { header: '참여자', value: (row) => row.participants || '' }
+    ]
+  },
+  vms: {
+    label: 'VMS 사회복지자원봉사',
+    columns: [
+      { header: '봉사일자', value: (row) => row.date },
+      { header: '봉사활동명', value: (row) => row.name },
+      { header: '봉사처', value: (row) => row.organization },
+      { header: '인정시간', value: (row) => row.hours },
+      { header: '봉사장소', value: (row) => row.location || '' },
+      { header: '봉사자', value: (row) => row.participants || '' }
+    ]
+  },
+  all: {
+    label: '전체 항목',
+    columns: [
+      { header: '날짜', value: (row) => row.date },
+      { header: '활동 이름', value: (row) => row.name },
+      { header: '기관/단체', value: (row) => row.organization },
+      { header: '봉사 시간', value: (row) => row.hours },
+      { header: '활동 장소', value: (row) => row.location || '' },
+      { header: '참석자', value: (row) => row.participants || '' },
+      { header: '활동 내용', value: (row) => row.description || '' },
+      { header: '등록자', value: (row) => row.author_name || '' }
+    ]
+  }
+};
+
+// 화면에 불러온 페이지와 상관없이 DB에서 조건에 맞는 기록 전체를 가져옴
+export const fetchAllRecords = async (groupId, filters) => {
+  const all = [];
+  for (let offset = 0; ; offset += FETCH_CHUNK) {
+    const query = supabaseClient
+      .from('records')
+      .select(`${RECORD_COLUMNS}, ${PARTICIPANT_COLUMNS}`)
+      .eq('group_id', groupId);
+    const { data, error } = await applyRecordFilters(query, filters)
+      .order('date', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + FETCH_CHUNK - 1);
+
+    if (error) throw error;
+    all.push(...data);
+    if (data.length < FETCH_CHUNK) return all;
+  }
+};
+
+// perParticipant면 참석자마다 한 줄씩 (개인별 시간 반영) — 포털 개인 실적 등록용
+export const toRows = (records, preset, perParticipant) => {
+  const { columns } = EXPORT_PRESETS[preset];
+  const flat = perParticipant
+    ? records.flatMap(record => {
+        const list = (record.record_participants || []).filter(rp => rp.people);
+        if (list.length === 0) return [record];
+        return list.map(rp => ({
+          ...record,
+          participants: rp.people.name,
+          hours: rp.hours ?? record.hours
+        }));
+      })
+    : records;
+
+  return [
+    columns.map(c => c.header),
+    ...flat.map(row => columns.map(c => c.value(row)))
+  ];
+};
+
+// 엑셀이 =, +, -, @ 등으로 시작하는 값을 수식으로 실행하지 않도록 앞에 '를 붙임 (CSV 수식 주입 방지)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+export const csvCell = (value) => {
+  let text = value == null ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const download = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export const exportRecords = (records, { preset = '1365', format = 'xlsx', perParticipant = false } = {}) => {
+  const rows = toRows(records, preset, perParticipant);
+  const baseName = `봉사기록_${preset}_${localDateString()}`;
+
+  if (format === 'csv') {
+    // 엑셀에서 한글이 깨지지 않도록 UTF-8 BOM 추가
+    const csv = '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+    download(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `${baseName}.csv`);
+    return;
+  }
+
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, sheet, '봉사기록');
+  XLSX.writeFile(book, `${baseName}.xlsx`);
+};
@@ -0,0 +1,64 @@
+import { toRows, csvCell } from './exportRecords';
+
+jest.mock('./supabase', () => ({ supabaseClient: {}, RECORD_COLUMNS: '', PARTICIPANT_COLUMNS: '' }));
+
+const record = {
+  date: '2026-03-05',
+  name: '급식 봉사',
+  organization: '행복복지관',
+  hours: 3,
+  location: null,
+  participants: '지민, 서연',
+  record_participants: [
+    { hours: null, people: { id: 1, name: '지민' } },
+    { hours: 1.5, people: { id: 2, name: '서연' } }
+  ]
+};
+
+describe('csvCell', () => {
+  test('쉼표·따옴표·줄바꿈이 있으면 따옴표로 감쌈', () => {
+    expect(csvCell('지민, 서연')).toBe('"지민, 서연"');
+    expect(csvCell('그가 "좋다"고 함')).toBe('"그가 ""좋다""고 함"');
+    expect(csvCell('첫 줄\n둘째 줄')).toBe('"첫 줄\n둘째 줄"');
+    expect(csvCell('평범한 값')).toBe('평범한 값');
+  });
+
+  test('빈 값은 빈 칸', () => {
+    expect(csvCell(null)).toBe('');
+    expect(csvCell(undefined)).toBe('');
+  });
+
+  test('수식으로 실행될 수 있는 값은 앞에 작은따옴표를 붙임', () => {
+    expect(csvCell('=HYPERLINK("http://example.com")')).toBe('"\'=HYPERLINK(""http://example.com"")"');
+    expect(csvCell('+1')).toBe("'+1");
+    expect(csvCell('-2+3')).toBe("'-2+3");
+    expect(csvCell('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(csvCell('\tcmd')).toBe("'\tcmd");
+    expect(csvCell('\rcmd')).toBe('"\'\rcmd"');
+  });
+
+  test('숫자는 그대로', () => {
+    expect(csvCell(3)).toBe('3');
+    expect(csvCell(-1)).toBe('-1');
+  });
+});
+
+describe('toRows', () => {
+  test('양식의 열 순서대로 머리글과 행을 만듦', () => {
+    expect(toRows([record], '1365', false)).toEqual([
+      ['활동일자', '활동명', '봉사기관', '봉사시간', '활동장소', '참여자'],
+      ['2026-03-05', '급식 봉사', '행복복지관', 3, '', '지민, 서연']
+    ]);
+  });
+
+  test('참석자별로 나누면 개인 시간이 없을 때 기록 시간을 씀', () => {
+    const rows = toRows([record], 'vms', true);
+    expect(rows.slice(1).map(row => [row[3], row[5]])).toEqual([[3, '지민'], [1.5, '서연']]);
+  });
+
+  test('참석자가 없는 기록은 한 줄로', () => {
+    const rows = toRows([{ ...record, record_participants: [] }], 'vms', true);
+    expect(rows).toHaveLength(2);
+    expect(rows[1][5]).toBe('지민, 서연');
+  });
+});
@@ -0,0 +1,47 @@
+// 연간 목표 진행률 계산. 목표는 그룹(groups.goals)에 연도별로 저장
+// 예: { "2026": { "group_hours": 500, "person_hours": 20, "people": { "12": 30 } } }
+
+export const MILESTONES = [25, 50, 75, 100];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 달력 날짜 기준 일수 (서머타임이 있는 시간대에서는 하루가 24시간이 아닌 날이 있음)
+const dayNumber = (date) => Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS;
+
+export const goalsForYear = (goals, year) => ({
+  group_hours: null,
+  person_hours: null,
+  people: {},
+  ...(goals?.[year] || {})
+});
+
+// 개인 목표: 사람별로 정한 값이 있으면 그것, 없으면 공통 목표
+export const personGoal = (yearGoals, personId) =>
+  yearGoals.people?.[personId] ?? yearGoals.person_hours ?? null;
+
+// 지금까지의 속도로 계산한 달성률과 예상 달성일 (올해 안에 못 하면 projectedDate는 null)
+export const goalProgress = (hours, goal, year, today = new Date()) => {
+  const percent = goal > 0 ? Math.round((hours / goal) * 100) : 0;
+  const startDay = dayNumber(new Date(year, 0, 1));
+  const daysInYear = dayNumber(new Date(year, 11, 31)) - startDay + 1;
+  const elapsedDays = Math.min(daysInYear, Math.max(1, dayNumber(today) - startDay + 1));
+
+  if (hours >= goal) {
+    return { percent, achieved: true, onPace: true, projectedDate: null };
+  }
+
+  const expectedHours = (goal * elapsedDays) / daysInYear;
+  const perDay = hours / elapsedDays;
+  const daysNeeded = perDay > 0 ? Math.ceil(goal / perDay) : Infinity;
+
+  return {
+    percent,
+    achieved: false,
+    onPace: hours >= expectedHours,
+    projectedDate: daysNeeded <= daysInYear ? new Date(year, 0, daysNeeded) : null
+  };
+};
+
+// 가장 최근에 넘은 단계 (없으면 null)
+export const reachedMilestone = (percent) =>
+  [...MILESTONES].reverse().find(milestone => percent >= milestone) ?? null;
@@ -0,0 +1,65 @@
+import { goalProgress, reachedMilestone, goalsForYear, personGoal } from './goals';
+import { localDateString } from './format';
+
+describe('goalProgress', () => {
+  test('지금 속도면 올해 안에 달성: 예상 달성일', () => {
+    const progress = goalProgress(40, 100, 2026, new Date(2026, 3, 10)); // 100일째
+    expect(progress).toMatchObject({ percent: 40, achieved: false, onPace: true });
+    expect(localDateString(progress.projectedDate)).toBe('2026-09-07');
+  });
+
+  test('윤년은 366일 기준', () => {
+    const progress = goalProgress(30, 100, 2024, new Date(2024, 2, 1)); // 61일째
+    expect(localDateString(progress.projectedDate)).toBe('2024-07-22');
+  });
+
+  test('1월 1일에는 하루 지난 것으로 계산', () => {
+    expect(goalProgress(0, 100, 2026, new Date(2026, 0, 1))).toEqual({
+      percent: 0, achieved: false, onPace: false, projectedDate: null
+    });
+    expect(goalProgress(1, 100, 2026, new Date(2026, 0, 1)).onPace).toBe(true);
+  });
+
+  test('아직 시작하지 않은 해는 첫날로 계산', () => {
+    const progress = goalProgress(1, 100, 2027, new Date(2026, 11, 31));
+    expect(progress.onPace).toBe(true);
+    expect(localDateString(progress.projectedDate)).toBe('2027-04-10');
+  });
+
+  test('지난 해는 한 해 전체 기준이고 못 채웠으면 예상 달성일 없음', () => {
+    expect(goalProgress(99, 100, 2025, new Date(2026, 5, 1))).toEqual({
+      percent: 99, achieved: false, onPace: false, projectedDate: null
+    });
+  });
+
+  test('12월 31일에 이 속도로 딱 맞으면 그날이 예상 달성일', () => {
+    const progress = goalProgress(364, 365, 2026, new Date(2026, 11, 30)); // 364일째
+    expect(localDateString(progress.projectedDate)).toBe('2026-12-31');
+  });
+
+  test('목표를 넘기면 달성', () => {
+    expect(goalProgress(120, 100, 2026, new Date(2026, 5, 1))).toEqual({
+      percent: 120, achieved: true, onPace: true, projectedDate: null
+    });
+  });
+});
+
+describe('reachedMilestone', () => {
+  test('가장 최근에 넘은 단계', () => {
+    expect(reachedMilestone(0)).toBeNull();
+    expect(reachedMilestone(24)).toBeNull();
+    expect(reachedMilestone(25)).toBe(25);
+    expect(reachedMilestone(74)).toBe(50);
+    expect(reachedMilestone(100)).toBe(100);
+    expect(reachedMilestone(180)).toBe(100);
+  });
+});
+
+describe('personGoal', () => {
+  test('개인별 목표가 없으면 공통 목표', () => {
+    const yearGoals = goalsForYear({ 2026: { person_hours: 20, people: { 12: 30 } } }, 2026);
+    expect(personGoal(yearGoals, 12)).toBe(30);
+    expect(personGoal(yearGoals, 7)).toBe(20);
+    expect(personGoal(goalsForYear({}, 2026), 7)).toBeNull();
+  });
+});
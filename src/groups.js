@@ -0,0 +1,13 @@
+// 그룹(봉사 모임)별 주소: /g/<slug>/... (slug 없이 들어오면 기본 그룹)
+export const DEFAULT_GROUP_SLUG = 'default';
+
+export const GROUP_COLUMNS = 'id, slug, name, title, subtitle, logo_url, goals, banned_words';
+
+const GROUP_PATH = /^\/g\/([a-z0-9-]+)(?=\/|$)/;
+
+export const groupSlugFromPath = (pathname) => pathname.match(GROUP_PATH)?.[1] || null;
+
+// 라우터 basename. 기본 그룹은 기존 주소(/, /records/12 ...)를 그대로 씀
+export const groupBasename = (slug) => (slug ? `/g/${slug}` : undefined);
+
+export const groupHomePath = (slug) => (slug === DEFAULT_GROUP_SLUG ? '/' : `/g/${slug}`);
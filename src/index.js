@@ -1,6 +1,19 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
-import App from './App';
+import { BrowserRouter } from 'react-router-dom';
+import GroupRoot from './GroupRoot';
+import { DEFAULT_GROUP_SLUG, groupSlugFromPath, groupBasename } from './groups';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
+
+// /g/<slug>/... 로 들어오면 그 그룹, 아니면 기본 그룹 (앱 안의 경로는 그룹과 무관)
+const groupSlug = groupSlugFromPath(window.location.pathname);
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(<App />);
+root.render(
+  <BrowserRouter basename={groupBasename(groupSlug)}>
+    <GroupRoot slug={groupSlug || DEFAULT_GROUP_SLUG} />
+  </BrowserRouter>
+);
+
+// 오프라인에서도 열리도록 서비스 워커 등록 (프로덕션 빌드에서만 동작)
+serviceWorkerRegistration.register();
@@ -0,0 +1,14 @@
+import { BANNED_WORD, RATE_LIMITED } from './supabase';
+
+// 그룹 금지어 중 글에 들어 있는 첫 단어 (서버 find_banned_word와 같은 기준: 대소문자 무시, 포함 여부)
+export const findBannedWord = (words, text) => {
+  const lower = text.toLowerCase();
+  return (words || []).map(word => word.trim()).find(word => word && lower.includes(word.toLowerCase())) || null;
+};
+
+// 댓글 저장이 서버에서 막혔을 때 보여줄 문구 (그 밖의 에러는 null)
+export const commentBlockedMessage = (error) => {
+  if (error?.code === BANNED_WORD) return '사용할 수 없는 단어가 포함되어 있습니다.';
+  if (error?.code === RATE_LIMITED) return '댓글을 너무 자주 작성했습니다. 잠시 후 다시 시도해주세요.';
+  return null;
+};
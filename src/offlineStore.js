@@ -0,0 +1,85 @@
+// 오프라인 저장소: 작성 중인 초안(localStorage)과 업로드 대기함/사진(IndexedDB)
+const DB_NAME = 'volunteer-record';
+const DB_VERSION = 1;
+const DRAFT_KEY = 'volunteer-record:draft';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('outbox')) db.createObjectStore('outbox', { keyPath: 'id' });
+        if (!db.objectStoreNames.contains('photos')) db.createObjectStore('photos');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (storeName, mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = action(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+const newId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// --- 업로드 못 한 사진 (selectedPhotos에는 'local:<id>'로 들어감) ---
+export const LOCAL_PHOTO_PREFIX = 'local:';
+export const isLocalPhoto = (photo) => typeof photo === 'string' && photo.startsWith(LOCAL_PHOTO_PREFIX);
+
+export const saveLocalPhoto = async (file) => {
+  const key = `${LOCAL_PHOTO_PREFIX}${newId()}`;
+  await run('photos', 'readwrite', store => store.put(file, key));
+  return key;
+};
+
+export const getLocalPhoto = (key) => run('photos', 'readonly', store => store.get(key));
+export const deleteLocalPhoto = (key) => run('photos', 'readwrite', store => store.delete(key));
+
+// --- 업로드 대기함 ---
+export const listOutbox = async () => {
+  const entries = await run('outbox', 'readonly', store => store.getAll());
+  return (entries || []).sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const addToOutbox = async (entry) => {
+  const saved = { ...entry, id: newId(), createdAt: Date.now(), status: 'pending', error: null };
+  await run('outbox', 'readwrite', store => store.put(saved));
+  return saved;
+};
+
+export const updateOutbox = (entry) => run('outbox', 'readwrite', store => store.put(entry));
+export const removeFromOutbox = (id) => run('outbox', 'readwrite', store => store.delete(id));
+
+// --- 작성 중인 초안 (비밀번호는 저장하지 않음) ---
+export const loadDraft = () => {
+  try {
+    return JSON.parse(localStorage.getItem(DRAFT_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const DRAFT_FIELDS = ['name', 'organization', 'hours', 'location', 'description', 'author_name'];
+
+export const saveDraft = (formData, photos) => {
+  // 아무것도 입력하지 않았으면 초안을 남기지 않음
+  if (photos.length === 0 && formData.participantList.length === 0 && !DRAFT_FIELDS.some(key => formData[key])) {
+    clearDraft();
+    return;
+  }
+  const { author_password, ...rest } = formData;
+  localStorage.setItem(DRAFT_KEY, JSON.stringify({ formData: rest, photos, savedAt: Date.now() }));
+};
+
+export const clearDraft = () => localStorage.removeItem(DRAFT_KEY);
@@ -0,0 +1,88 @@
+import { supabaseClient } from './supabase';
+import { preparePhoto, uploadPhoto } from './photos';
+import {
+  listOutbox,
+  addToOutbox,
+  updateOutbox,
+  removeFromOutbox,
+  isLocalPhoto,
+  getLocalPhoto,
+  deleteLocalPhoto
+} from './offlineStore';
+
+let syncing = false;
+
+// 기록 비밀번호는 기기에 저장하지 않고 이 탭이 열려 있는 동안만 기억
+// (앱을 다시 열면 업로드 전에 비밀번호를 다시 물어봄)
+const passwords = new Map();
+
+export const addRecordToOutbox = async ({ author_password, ...record }, participantList) => {
+  const entry = await addToOutbox({ record, participantList });
+  passwords.set(entry.id, author_password);
+  return entry;
+};
+
+export const needsPassword = (entry) => !passwords.has(entry.id);
+export const setOutboxPassword = (id, password) => passwords.set(id, password);
+
+// 오프라인에서 만든 기록을 순서대로 업로드: 사진 → 기록과 참석자 명단(한 번에)
+// 비밀번호를 모르는 항목은 건너뜀
+export const syncOutbox = async (onChange) => {
+  if (syncing || !navigator.onLine) return 0;
+  syncing = true;
+  let synced = 0;
+
+  try {
+    for (let entry of await listOutbox()) {
+      // 이전 버전이 대기함에 함께 저장한 비밀번호는 메모리로 옮기고 지움
+      if (entry.record.author_password !== undefined) {
+        const { author_password, ...record } = entry.record;
+        passwords.set(entry.id, author_password);
+        entry = { ...entry, record };
+        await updateOutbox(entry);
+      }
+      if (needsPassword(entry)) {
+        if (entry.status !== 'needs_password') {
+          await updateOutbox({ ...entry, status: 'needs_password', error: null });
+          onChange?.();
+        }
+        continue;
+      }
+
+      let current = { ...entry, status: 'syncing', error: null };
+      try {
+        await updateOutbox(current);
+        onChange?.();
+
+        // 사진을 하나 올릴 때마다 URL을 대기함에 반영하고 기기 사본을 지움
+        // (중간에 실패하거나 기록 저장이 실패해도 이미 올린 사진은 다시 올리지 않음)
+        for (const photo of current.record.photos.filter(isLocalPhoto)) {
+          const file = await getLocalPhoto(photo);
+          const url = file ? await uploadPhoto(await preparePhoto(file)) : null;
+          const photos = current.record.photos.flatMap(p => (p !== photo ? [p] : url ? [url] : []));
+          current = { ...current, record: { ...current.record, photos } };
+          await updateOutbox(current);
+          await deleteLocalPhoto(photo);
+        }
+
+        // 기록과 명단을 한 트랜잭션으로 저장하므로 실패하면 아무것도 남지 않아 다시 시도해도 중복되지 않음
+        const { error } = await supabaseClient.rpc('create_record', {
+          p_data: { ...current.record, author_password: passwords.get(current.id) },
+          p_participants: current.participantList
+        });
+        if (error) throw error;
+
+        await removeFromOutbox(current.id);
+        passwords.delete(current.id);
+        synced += 1;
+      } catch (error) {
+        console.error('대기 중인 기록 업로드 실패:', error);
+        await updateOutbox({ ...current, status: 'failed', error: error.message || String(error) });
+      }
+      onChange?.();
+    }
+  } finally {
+    syncing = false;
+  }
+  return synced;
+};
@@ -0,0 +1,198 @@
+import { supabaseClient, SUPABASE_URL, SUPABASE_ANON_KEY } from './supabase';
+
+export const PHOTO_BUCKET = 'volunteer-photos';
+
+// 업로드할 때 만드는 크기 (긴 변 기준 px)
+export const PHOTO_SIZES = {
+  thumb: 400, // 목록 그리드, 미리보기
+  full: 1600 // 상세 보기, 확대 보기
+};
+
+const HEIC_PATTERN = /\.(heic|heif)$/i;
+
+const isHeic = (file) => /image\/hei[cf]/.test(file.type) || HEIC_PATTERN.test(file.name);
+
+let webpSupported;
+const supportsWebp = () => {
+  if (webpSupported === undefined) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 1;
+    webpSupported = canvas.toDataURL('image/webp').startsWith('data:image/webp');
+  }
+  return webpSupported;
+};
+
+const loadImageElement = (blob) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('이미지를 읽을 수 없습니다.'));
+    };
+    img.src = url;
+  });
+
+// EXIF 방향을 반영해서 디코딩 (createImageBitmap이 없으면 img 태그의 기본 방향 처리에 맡김)
+const decodeBlob = (blob) =>
+  window.createImageBitmap
+    ? createImageBitmap(blob, { imageOrientation: 'from-image' })
+    : loadImageElement(blob);
+
+const decodeImage = async (file) => {
+  try {
+    return await decodeBlob(file);
+  } catch (error) {
+    if (!isHeic(file)) throw error;
+    // 사파리 외 브라우저는 HEIC를 못 읽으므로 JPEG로 바꾼 뒤 다시 디코딩 (용량이 커서 필요할 때만 불러옴)
+    const { default: heic2any } = await import('heic2any');
+    const converted = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.9 });
+    return decodeBlob(Array.isArray(converted) ? converted[0] : converted);
+  }
+};
+
+const drawScaled = (image, maxSize) => {
+  const scale = Math.min(maxSize / image.width, maxSize / image.height, 1);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+const hasTransparency = (canvas) => {
+  const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 255) return true;
+  }
+  return false;
+};
+
+const canvasToFile = (canvas, type, quality, name) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(new File([blob], name, { type: blob.type })) : reject(new Error('이미지 변환에 실패했습니다.'))),
+      type,
+      quality
+    );
+  });
+
+const EXTENSIONS = { 'image/webp': 'webp', 'image/png': 'png', 'image/jpeg': 'jpg' };
+
+// 사진 한 장을 크기별로 다시 인코딩: 방향 보정, WebP 변환(지원 시), 투명 PNG는 투명도 유지.
+// 캔버스로 새로 그리므로 GPS 위치를 포함한 EXIF 메타데이터는 모두 빠짐.
+export const preparePhoto = async (file) => {
+  const image = await decodeImage(file);
+  try {
+    const thumbCanvas = drawScaled(image, PHOTO_SIZES.thumb);
+    const mayHaveAlpha = /image\/(png|gif|webp)/.test(file.type);
+    const type = supportsWebp()
+      ? 'image/webp'
+      : mayHaveAlpha && hasTransparency(thumbCanvas) ? 'image/png' : 'image/jpeg';
+    const baseName = file.name.replace(/\.[^.]+$/, '') || 'photo';
+    const name = `${baseName}.${EXTENSIONS[type]}`;
+
+    return {
+      full: await canvasToFile(drawScaled(image, PHOTO_SIZES.full), type, 0.8, name),
+      thumb: await canvasToFile(thumbCanvas, type, 0.7, name)
+    };
+  } finally {
+    image.close?.();
+  }
+};
+
+// supabase-js 업로드는 진행률을 알려주지 않으므로 Storage API에 XHR로 직접 올림
+const uploadWithProgress = (path, file, accessToken, onProgress) =>
+  new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', `${SUPABASE_URL}/storage/v1/object/${PHOTO_BUCKET}/${path}`);
+    xhr.setRequestHeader('Authorization', `Bearer ${accessToken}`);
+    xhr.setRequestHeader('apikey', SUPABASE_ANON_KEY);
+    xhr.setRequestHeader('Content-Type', file.type);
+    xhr.upload.onprogress = (e) => onProgress(e.loaded);
+    xhr.onload = () => {
+      if (xhr.status < 300) {
+        resolve();
+        return;
+      }
+      let message = `업로드 실패 (${xhr.status})`;
+      try {
+        message = JSON.parse(xhr.responseText).message || message;
+      } catch {
+        // JSON이 아닌 응답이면 상태 코드만 표시
+      }
+      reject(new Error(message));
+    };
+    xhr.onerror = () => reject(new TypeError('Failed to fetch'));
+    xhr.send(file);
+  });
+
+// 크기별 파일을 full/, thumb/ 아래 같은 이름으로 올리고 원본(full) 공개 URL 반환
+// onProgress에는 두 파일을 합친 진행률(0~1)을 넘김
+export const uploadPhoto = async (variants, onProgress = () => {}) => {
+  const extension = variants.full.name.split('.').pop();
+  const fileName = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}.${extension}`;
+  const { data: { session } } = await supabaseClient.auth.getSession();
+  const accessToken = session?.access_token || SUPABASE_ANON_KEY;
+  const total = variants.thumb.size + variants.full.size;
+
+  await uploadWithProgress(`thumb/${fileName}`, variants.thumb, accessToken, (loaded) => {
+    onProgress(loaded / total);
+  });
+  await uploadWithProgress(`full/${fileName}`, variants.full, accessToken, (loaded) => {
+    onProgress(Math.min(1, (variants.thumb.size + loaded) / total));
+  });
+
+  const { data } = supabaseClient
+    .storage
+    .from(PHOTO_BUCKET)
+    .getPublicUrl(`full/${fileName}`);
+  return data.publicUrl;
+};
+
+// 기록에는 full URL만 저장하고, 썸네일은 경로 규칙으로 찾음 (썸네일이 없는 예전 사진은 원본 그대로)
+export const thumbnailUrl = (url) =>
+  url.includes(`/${PHOTO_BUCKET}/full/`) ? url.replace(`/${PHOTO_BUCKET}/full/`, `/${PHOTO_BUCKET}/thumb/`) : url;
+
+// 상세 화면처럼 표시 크기가 화면마다 다른 곳에서 브라우저가 고르도록
+export const photoSrcSet = (url) =>
+  thumbnailUrl(url) === url ? undefined : `${thumbnailUrl(url)} ${PHOTO_SIZES.thumb}w, ${url} ${PHOTO_SIZES.full}w`;
+
+// 공개 URL → 버킷 안 경로 (full/ 사진은 썸네일도 함께)
+export const storagePaths = (url) => {
+  const marker = `/${PHOTO_BUCKET}/`;
+  const index = url.indexOf(marker);
+  if (index < 0) return []; // 기기에만 저장된 사진 등
+  const path = decodeURIComponent(url.slice(index + marker.length));
+  return path.startsWith('full/') ? [path, path.replace(/^full\//, 'thumb/')] : [path];
+};
+
+// 기록에서 빠진 사진 파일 삭제. 지우지 못한 파일이 있으면 false
+// 로그인하지 않은 봉사자도 지울 수 있도록, 기록에 쓰이지 않는 파일인지 서버에서 확인받은 뒤 삭제
+export const deletePhotos = async (urls) => {
+  const paths = urls.flatMap(storagePaths);
+  if (paths.length === 0) return true;
+
+  try {
+    const { data: allowed, error: allowError } = await supabaseClient.rpc('allow_photo_delete', { p_paths: paths });
+    if (allowError) throw allowError;
+    if (allowed.length === 0) return true; // 이미 지워졌거나 다른 기록에서 쓰는 파일
+
+    const { data: removed, error } = await supabaseClient.storage.from(PHOTO_BUCKET).remove(allowed);
+    if (error) throw error;
+    return removed.length === allowed.length;
+  } catch (error) {
+    console.error('사진 삭제 에러:', error);
+    return false;
+  }
+};
+
+// 오프라인이거나 요청 자체가 실패한 경우 (서버가 거절한 경우와 구분)
+export const isNetworkError = (error) =>
+  !navigator.onLine ||
+  error instanceof TypeError ||
+  /failed to fetch|networkerror|load failed/i.test(error?.message || '');
@@ -0,0 +1,36 @@
+import { supabaseClient } from './supabase';
+import { getClientId } from './clientId';
+
+// 기록·댓글에 누를 수 있는 반응 (DB의 reactions.emoji 제약과 같아야 함)
+export const REACTION_EMOJIS = ['👍', '❤️', '😊', '👏', '🙏'];
+
+// 'record:12' / 'comment:34' → [{ emoji, count, mine }]
+export const reactionKey = (row) => (row.comment_id ? `comment:${row.comment_id}` : `record:${row.record_id}`);
+
+const groupRows = (rows) =>
+  (rows || []).reduce((map, row) => {
+    const key = reactionKey(row);
+    (map[key] = map[key] || []).push({ emoji: row.emoji, count: row.count, mine: row.mine });
+    return map;
+  }, {});
+
+export const loadReactions = async (recordId) => {
+  const { data, error } = await supabaseClient.rpc('reaction_summary', {
+    p_record_id: recordId,
+    p_client_id: getClientId()
+  });
+  if (error) throw error;
+  return groupRows(data);
+};
+
+// target: { record_id } 또는 { comment_id }. 바뀐 대상의 반응 목록을 돌려줌
+export const toggleReaction = async (target, emoji) => {
+  const { data, error } = await supabaseClient.rpc('toggle_reaction', {
+    p_record_id: target.record_id || null,
+    p_comment_id: target.comment_id || null,
+    p_emoji: emoji,
+    p_client_id: getClientId()
+  });
+  if (error) throw error;
+  return groupRows(data)[reactionKey(target)] || [];
+};
@@ -0,0 +1,16 @@
+import { supabaseClient } from './supabase';
+
+// DB 트리거(broadcast_feed_change)가 보내는 변경 알림 구독
+// payload: { table: 'records' | 'comments', id, record_id }
+export const subscribeToFeed = (onChange) => {
+  const channel = supabaseClient.channel('volunteer-feed');
+
+  ['INSERT', 'UPDATE', 'DELETE'].forEach(event => {
+    channel.on('broadcast', { event }, ({ payload }) => onChange(event, payload));
+  });
+  channel.subscribe();
+
+  return () => {
+    supabaseClient.removeChannel(channel);
+  };
+};
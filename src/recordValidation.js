@@ -0,0 +1,30 @@
+// 기록 등록/수정/일괄 가져오기에서 함께 쓰는 입력 검사
+export const validateRecordFields = ({ date, name, organization, hours }) => {
+  if (!date || !name || !organization || hours === '' || hours == null) {
+    return '필수 항목을 모두 입력해주세요!';
+  }
+  const parsedHours = Number(String(hours).trim());
+  if (Number.isNaN(parsedHours) || parsedHours < 0) {
+    return '봉사 시간은 0 이상의 숫자로 입력해주세요.';
+  }
+  return null;
+};
+
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 2024-03-01, 2024.3.1, 2024/03/01, 2024. 3. 1. 형식을 YYYY-MM-DD로 통일
+// 날짜 서식이 없는 엑셀 칸을 CSV로 저장하면 나오는 일련번호(45352 = 2024-03-01)도 변환
+export const normalizeDate = (value) => {
+  if (!value) return '';
+  const text = String(value).trim();
+  if (/^\d{5}$/.test(text)) {
+    return new Date(EXCEL_EPOCH + Number(text) * DAY_MS).toISOString().split('T')[0];
+  }
+  const match = text.match(/^(\d{4})[-./\s]+(\d{1,2})[-./\s]+(\d{1,2})/);
+  if (!match) return '';
+  const [, y, m, d] = match;
+  const date = new Date(Number(y), Number(m) - 1, Number(d));
+  if (date.getMonth() !== Number(m) - 1) return '';
+  return `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`;
+};
@@ -0,0 +1,41 @@
+import { validateRecordFields, normalizeDate } from './recordValidation';
+
+describe('normalizeDate', () => {
+  test('여러 구분자 형식을 YYYY-MM-DD로', () => {
+    expect(normalizeDate('2026-03-05')).toBe('2026-03-05');
+    expect(normalizeDate('2026.3.5')).toBe('2026-03-05');
+    expect(normalizeDate('2026/03/05')).toBe('2026-03-05');
+    expect(normalizeDate('2026. 3. 5.')).toBe('2026-03-05');
+    expect(normalizeDate(' 2026.12.31 ')).toBe('2026-12-31');
+  });
+
+  test('엑셀 날짜 일련번호', () => {
+    expect(normalizeDate('45352')).toBe('2024-03-01');
+    expect(normalizeDate(46086)).toBe('2026-03-05');
+    expect(normalizeDate('46023')).toBe('2026-01-01');
+  });
+
+  test('없는 날짜나 알 수 없는 형식은 빈 값', () => {
+    expect(normalizeDate('2026.2.30')).toBe('');
+    expect(normalizeDate('3/5/2026')).toBe('');
+    expect(normalizeDate('어제')).toBe('');
+    expect(normalizeDate('')).toBe('');
+    expect(normalizeDate(null)).toBe('');
+  });
+});
+
+describe('validateRecordFields', () => {
+  const valid = { date: '2026-03-05', name: '급식 봉사', organization: '행복복지관', hours: '3' };
+
+  test('필수 항목이 모두 있으면 통과', () => {
+    expect(validateRecordFields(valid)).toBeNull();
+    expect(validateRecordFields({ ...valid, hours: 0 })).toBeNull();
+  });
+
+  test('빠진 항목과 잘못된 시간', () => {
+    expect(validateRecordFields({ ...valid, name: '' })).toBe('필수 항목을 모두 입력해주세요!');
+    expect(validateRecordFields({ ...valid, hours: '' })).toBe('필수 항목을 모두 입력해주세요!');
+    expect(validateRecordFields({ ...valid, hours: '세 시간' })).toBe('봉사 시간은 0 이상의 숫자로 입력해주세요.');
+    expect(validateRecordFields({ ...valid, hours: '-1' })).toBe('봉사 시간은 0 이상의 숫자로 입력해주세요.');
+  });
+});
@@ -0,0 +1,86 @@
+// 검색/필터 조건을 Supabase 쿼리 조건으로 변환
+export const EMPTY_FILTERS = {
+  keyword: '',
+  organization: '',
+  location: '',
+  dateFrom: '',
+  dateTo: '',
+  minHours: ''
+};
+
+export const hasActiveFilters = (filters) =>
+  Object.keys(EMPTY_FILTERS).some(key => String(filters[key] ?? '').trim() !== '');
+
+// PostgREST 필터 문법에 쓰이는 문자 제거
+const sanitize = (value) => String(value).trim().replace(/[,()"\\%*]/g, ' ').trim();
+
+export const applyRecordFilters = (query, filters = EMPTY_FILTERS) => {
+  const keyword = sanitize(filters.keyword || '');
+  if (keyword) {
+    const pattern = `%${keyword}%`;
+    query = query.or(
+      ['name', 'organization', 'location', 'participants', 'description']
+        .map(column => `${column}.ilike.${pattern}`)
+        .join(',')
+    );
+  }
+
+  const organization = sanitize(filters.organization || '');
+  if (organization) query = query.ilike('organization', `%${organization}%`);
+
+  const location = sanitize(filters.location || '');
+  if (location) query = query.ilike('location', `%${location}%`);
+
+  if (filters.dateFrom) query = query.gte('date', filters.dateFrom);
+  if (filters.dateTo) query = query.lte('date', filters.dateTo);
+
+  const minHours = parseFloat(filters.minHours);
+  if (!Number.isNaN(minHours)) query = query.gte('hours', minHours);
+
+  return query;
+};
+
+// 정렬 기준 (같은 값이면 id로 순서 고정해서 페이지 경계가 흔들리지 않게)
+export const SORT_OPTIONS = {
+  newest: { label: '최신순', orders: [['date', false], ['id', false]] },
+  oldest: { label: '오래된 순', orders: [['date', true], ['id', true]] },
+  hours: { label: '봉사 시간 많은 순', orders: [['hours', false], ['date', false], ['id', false]] },
+  comments: { label: '댓글 많은 순', orders: [['comment_count', false], ['date', false], ['id', false]] },
+  updated: { label: '최근 수정순', orders: [['updated_at', false], ['id', false]] }
+};
+
+export const applyRecordSort = (query, sortOrder = 'newest') => {
+  const { orders } = SORT_OPTIONS[sortOrder] || SORT_OPTIONS.newest;
+  return orders.reduce(
+    (q, [column, ascending]) => q.order(column, { ascending, nullsFirst: false }),
+    query
+  );
+};
+
+// 검색/정렬 조건 ↔ URL 쿼리 파라미터 (링크로 공유할 수 있게)
+const PARAM_KEYS = {
+  keyword: 'q',
+  organization: 'org',
+  location: 'loc',
+  dateFrom: 'from',
+  dateTo: 'to',
+  minHours: 'min'
+};
+
+export const filtersFromParams = (params) =>
+  Object.fromEntries(
+    Object.entries(PARAM_KEYS).map(([field, key]) => [field, params.get(key) || ''])
+  );
+
+export const sortFromParams = (params) =>
+  SORT_OPTIONS[params.get('sort')] ? params.get('sort') : 'newest';
+
+export const toSearchParams = (filters, sortOrder) => {
+  const params = new URLSearchParams();
+  Object.entries(PARAM_KEYS).forEach(([field, key]) => {
+    const value = String(filters[field] ?? '').trim();
+    if (value) params.set(key, value);
+  });
+  if (sortOrder && sortOrder !== 'newest') params.set('sort', sortOrder);
+  return params;
+};
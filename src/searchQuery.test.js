@@ -0,0 +1,98 @@
+import {
+  EMPTY_FILTERS,
+  applyRecordFilters,
+  applyRecordSort,
+  hasActiveFilters,
+  filtersFromParams,
+  sortFromParams,
+  toSearchParams
+} from './searchQuery';
+
+// 호출된 조건만 기록하는 가짜 쿼리
+const fakeQuery = () => {
+  const calls = [];
+  const query = {
+    calls,
+    or: (value) => { calls.push(['or', value]); return query; },
+    ilike: (column, value) => { calls.push(['ilike', column, value]); return query; },
+    gte: (column, value) => { calls.push(['gte', column, value]); return query; },
+    lte: (column, value) => { calls.push(['lte', column, value]); return query; },
+    order: (column, options) => { calls.push(['order', column, options.ascending]); return query; }
+  };
+  return query;
+};
+
+describe('applyRecordFilters', () => {
+  test('빈 조건이면 아무 조건도 붙이지 않음', () => {
+    expect(applyRecordFilters(fakeQuery(), EMPTY_FILTERS).calls).toEqual([]);
+  });
+
+  test('검색어는 여러 열에서 찾음', () => {
+    const { calls } = applyRecordFilters(fakeQuery(), { ...EMPTY_FILTERS, keyword: ' 급식 ' });
+    expect(calls).toEqual([[
+      'or',
+      'name.ilike.%급식%,organization.ilike.%급식%,location.ilike.%급식%,participants.ilike.%급식%,description.ilike.%급식%'
+    ]]);
+  });
+
+  test('PostgREST 필터 문법 문자는 지움', () => {
+    const { calls } = applyRecordFilters(fakeQuery(), {
+      ...EMPTY_FILTERS,
+      keyword: 'a,name.eq.x)',
+      organization: '"복지관"*%',
+      location: '\\(서울)'
+    });
+    expect(calls[0][1].startsWith('name.ilike.%a name.eq.x%,')).toBe(true);
+    expect(calls[0][1].split(',')).toHaveLength(5);
+    expect(calls[1]).toEqual(['ilike', 'organization', '%복지관%']);
+    expect(calls[2]).toEqual(['ilike', 'location', '%서울%']);
+  });
+
+  test('특수문자만 있으면 조건 없음', () => {
+    expect(applyRecordFilters(fakeQuery(), { ...EMPTY_FILTERS, keyword: '(),%' }).calls).toEqual([]);
+  });
+
+  test('기간과 최소 시간', () => {
+    const { calls } = applyRecordFilters(fakeQuery(), {
+      ...EMPTY_FILTERS,
+      dateFrom: '2026-01-01',
+      dateTo: '2026-03-31',
+      minHours: '2.5'
+    });
+    expect(calls).toEqual([
+      ['gte', 'date', '2026-01-01'],
+      ['lte', 'date', '2026-03-31'],
+      ['gte', 'hours', 2.5]
+    ]);
+    expect(applyRecordFilters(fakeQuery(), { ...EMPTY_FILTERS, minHours: '많이' }).calls).toEqual([]);
+  });
+});
+
+describe('applyRecordSort', () => {
+  test('모르는 정렬 기준은 최신순', () => {
+    expect(applyRecordSort(fakeQuery(), 'unknown').calls).toEqual([
+      ['order', 'date', false],
+      ['order', 'id', false]
+    ]);
+  });
+});
+
+describe('URL 파라미터', () => {
+  test('조건과 정렬을 주고받아도 그대로', () => {
+    const filters = { ...EMPTY_FILTERS, keyword: '급식', minHours: '2' };
+    const params = toSearchParams(filters, 'hours');
+    expect(params.toString()).toBe(`q=${encodeURIComponent('급식')}&min=2&sort=hours`);
+    expect(filtersFromParams(params)).toEqual(filters);
+    expect(sortFromParams(params)).toBe('hours');
+  });
+
+  test('기본값은 URL에 넣지 않고, 잘못된 정렬은 최신순', () => {
+    expect(toSearchParams(EMPTY_FILTERS, 'newest').toString()).toBe('');
+    expect(sortFromParams(new URLSearchParams('sort=drop'))).toBe('newest');
+  });
+
+  test('공백만 있는 조건은 없는 것으로', () => {
+    expect(hasActiveFilters({ ...EMPTY_FILTERS, keyword: '   ' })).toBe(false);
+    expect(hasActiveFilters({ ...EMPTY_FILTERS, dateFrom: '2026-01-01' })).toBe(true);
+  });
+});
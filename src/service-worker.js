@@ -0,0 +1,63 @@
+/* eslint-disable no-restricted-globals */
+// 오프라인 지원 서비스 워커 (CRA 빌드 시 InjectManifest로 컴파일됨)
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { NetworkFirst, CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+
+clientsClaim();
+
+// 앱 화면(JS/CSS) 미리 캐시
+precacheAndRoute(self.__WB_MANIFEST);
+
+// /records/:id 같은 경로도 오프라인에서 index.html로 열리게
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) =>
+    request.mode === 'navigate' &&
+    !url.pathname.startsWith('/_') &&
+    !url.pathname.match(fileExtensionRegexp),
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// 스타일(Tailwind CDN)도 오프라인에서 쓸 수 있게
+registerRoute(
+  ({ url }) => url.origin === 'https://cdn.tailwindcss.com',
+  new StaleWhileRevalidate({
+    cacheName: 'tailwind-cdn',
+    plugins: [new CacheableResponsePlugin({ statuses: [0, 200] })]
+  })
+);
+
+// 한 번 본 기록/댓글 조회 결과는 오프라인에서 읽기 전용으로 보여줌
+registerRoute(
+  ({ request, url }) => request.method === 'GET' && url.pathname.startsWith('/rest/v1/'),
+  new NetworkFirst({
+    cacheName: 'supabase-rest',
+    networkTimeoutSeconds: 5,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: 200, maxAgeSeconds: 30 * 24 * 60 * 60 })
+    ]
+  })
+);
+
+// 활동 사진 (공개 스토리지)
+registerRoute(
+  ({ request, url }) => request.method === 'GET' && url.pathname.startsWith('/storage/v1/object/public/'),
+  new CacheFirst({
+    cacheName: 'volunteer-photos',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 300, maxAgeSeconds: 30 * 24 * 60 * 60 })
+    ]
+  })
+);
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,31 @@
+// 일괄 가져오기용 XLSX 읽기 (exceljs는 파일을 고를 때만 불러옴)
+
+// 칸 값 → 문자열. 날짜 서식 칸은 YYYY-MM-DD, 수식은 계산된 값, 서식 있는 글자는 글자만
+export const cellText = (value) => {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('result' in value) return cellText(value.result);
+  if ('text' in value) return cellText(value.text);
+  return ''; // #N/A 같은 오류 값
+};
+
+// 첫 줄부터 행 배열로. 빈 행은 건너뛰고 중간의 빈 칸은 유지
+export const worksheetRows = (worksheet) => {
+  const rows = [];
+  worksheet.eachRow(row => {
+    const values = Array.from({ length: row.cellCount }, (_, i) => cellText(row.getCell(i + 1).value));
+    if (values.some(value => value.trim() !== '')) rows.push(values);
+  });
+  return rows;
+};
+
+// 첫 번째 시트만 읽음
+export const readXlsxFile = async (file) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+  const [worksheet] = workbook.worksheets;
+  return worksheet ? worksheetRows(worksheet) : [];
+};
@@ -0,0 +1,44 @@
+import ExcelJS from 'exceljs';
+import { cellText, readXlsxFile } from './spreadsheet';
+
+const xlsxFile = async (sheets) => {
+  const workbook = new ExcelJS.Workbook();
+  sheets.forEach(rows => workbook.addWorksheet().addRows(rows));
+  const buffer = await workbook.xlsx.writeBuffer();
+  return { arrayBuffer: async () => buffer };
+};
+
+describe('cellText', () => {
+  test('날짜·수식·서식 있는 글자·링크를 문자열로', () => {
+    expect(cellText(new Date(Date.UTC(2026, 2, 5)))).toBe('2026-03-05');
+    expect(cellText({ formula: 'A1*2', result: 3 })).toBe('3');
+    expect(cellText({ richText: [{ text: '급식 ' }, { font: { bold: true }, text: '봉사' }] })).toBe('급식 봉사');
+    expect(cellText({ text: '행복복지관', hyperlink: 'http://example.com' })).toBe('행복복지관');
+  });
+
+  test('빈 칸과 오류 값은 빈 문자열', () => {
+    expect(cellText(null)).toBe('');
+    expect(cellText(undefined)).toBe('');
+    expect(cellText({ error: '#N/A' })).toBe('');
+  });
+});
+
+describe('readXlsxFile', () => {
+  test('첫 번째 시트를 행 배열로 읽고 빈 행은 건너뜀', async () => {
+    const file = await xlsxFile([
+      [
+        ['날짜', '활동명', '시간'],
+        [],
+        [new Date(Date.UTC(2026, 2, 5)), '급식 봉사', 3],
+        ['2026-03-06', null, 2]
+      ],
+      [['다른 시트']]
+    ]);
+
+    expect(await readXlsxFile(file)).toEqual([
+      ['날짜', '활동명', '시간'],
+      ['2026-03-05', '급식 봉사', '3'],
+      ['2026-03-06', '', '2']
+    ]);
+  });
+});
@@ -0,0 +1,26 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Supabase 설정
+export const SUPABASE_URL = process.env.REACT_APP_SUPABASE_URL;
+export const SUPABASE_ANON_KEY = process.env.REACT_APP_SUPABASE_ANON_KEY;
+
+export const supabaseClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+
+export const isSupabaseConfigured =
+  !!SUPABASE_URL && !!SUPABASE_ANON_KEY &&
+  SUPABASE_URL !== 'YOUR_SUPABASE_URL' && SUPABASE_ANON_KEY !== 'YOUR_SUPABASE_ANON_KEY';
+
+// 조회 시 가져올 컬럼 (비밀번호 컬럼은 절대 포함하지 않음)
+export const RECORD_COLUMNS =
+  'id, created_at, updated_at, date, name, organization, hours, location, participants, description, author_name, photos, comment_count';
+export const COMMENT_COLUMNS = 'id, created_at, record_id, parent_id, nickname, content, timestamp, edited_at';
+
+// 서버에서 비밀번호 불일치 시 던지는 에러 코드 (Postgres invalid_password)
+export const INVALID_PASSWORD = '28P01';
+
+// 댓글 작성/수정이 막혔을 때 (moderate_comment 트리거): 금지어, 연속 작성 제한
+export const BANNED_WORD = 'VR001';
+export const RATE_LIMITED = 'VR002';
+
+// 기록에 연결된 참석자 (사람별 개별 시간 포함)
+export const PARTICIPANT_COLUMNS = 'record_participants(hours, people(id, name))';
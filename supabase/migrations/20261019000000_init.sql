@@ -0,0 +1,25 @@
+-- 기본 테이블 (설정 화면의 SQL과 동일). 로컬 Supabase(supabase start)에서 처음부터 재현할 때 사용
+CREATE TABLE IF NOT EXISTS records (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT NOW(),
+  date DATE,
+  name TEXT,
+  organization TEXT,
+  hours REAL,
+  location TEXT,
+  participants TEXT,
+  description TEXT,
+  author_name TEXT,
+  author_password TEXT,
+  photos TEXT[]
+);
+
+CREATE TABLE IF NOT EXISTS comments (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT NOW(),
+  record_id BIGINT REFERENCES records(id),
+  nickname TEXT,
+  password TEXT,
+  content TEXT,
+  timestamp TEXT
+);
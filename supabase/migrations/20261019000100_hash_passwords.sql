@@ -0,0 +1,93 @@
+-- 기록/댓글 비밀번호를 해시로 저장하고, 검증은 서버 함수에서만 하도록 변경
+create extension if not exists pgcrypto;
+
+-- 1) 저장 시 자동 해시. 들어온 값은 모양과 상관없이 항상 해시
+--    ('$2…'로 시작하는 비밀번호를 해시로 보고 건너뛰면 평문으로 저장되므로 예외를 두지 않음)
+create or replace function hash_record_password() returns trigger as $$
+begin
+  if new.author_password is not null then
+    new.author_password := crypt(new.author_password, gen_salt('bf'));
+  end if;
+  return new;
+end;
+$$ language plpgsql set search_path = public, extensions;
+
+create or replace function hash_comment_password() returns trigger as $$
+begin
+  if new.password is not null then
+    new.password := crypt(new.password, gen_salt('bf'));
+  end if;
+  return new;
+end;
+$$ language plpgsql set search_path = public, extensions;
+
+drop trigger if exists records_hash_password on records;
+create trigger records_hash_password
+  before insert or update of author_password on records
+  for each row execute function hash_record_password();
+
+drop trigger if exists comments_hash_password on comments;
+create trigger comments_hash_password
+  before insert or update of password on comments
+  for each row execute function hash_comment_password();
+
+-- 기존 평문 비밀번호 해시 처리 (다시 실행해도 이미 bcrypt 해시 형식인 값은 건드리지 않음)
+update records set author_password = author_password
+  where author_password is not null and author_password !~ '^\$2[abxy]\$[0-9]{2}\$[./A-Za-z0-9]{53}$';
+update comments set password = password
+  where password is not null and password !~ '^\$2[abxy]\$[0-9]{2}\$[./A-Za-z0-9]{53}$';
+
+-- 2) 비밀번호 컬럼은 클라이언트에서 읽을 수 없도록 컬럼 단위 권한 부여
+revoke select on records from anon, authenticated;
+grant select (id, created_at, date, name, organization, hours, location, participants,
+              description, author_name, photos)
+  on records to anon, authenticated;
+
+revoke select on comments from anon, authenticated;
+grant select (id, created_at, record_id, nickname, content, timestamp)
+  on comments to anon, authenticated;
+
+-- 수정은 아래 함수로만 가능
+revoke update on records from anon, authenticated;
+revoke update on comments from anon, authenticated;
+
+-- 3) 비밀번호 확인 후 수정/삭제하는 서버 함수
+create or replace function update_record(p_id bigint, p_password text, p_data jsonb)
+returns void as $$
+declare
+  stored text;
+begin
+  select author_password into stored from records where id = p_id;
+  if stored is null or crypt(p_password, stored) <> stored then
+    raise exception 'invalid_password' using errcode = '28P01';
+  end if;
+
+  update records set
+    date = (p_data->>'date')::date,
+    name = p_data->>'name',
+    organization = p_data->>'organization',
+    hours = (p_data->>'hours')::real,
+    location = p_data->>'location',
+    participants = p_data->>'participants',
+    description = p_data->>'description',
+    photos = array(select jsonb_array_elements_text(coalesce(p_data->'photos', '[]'::jsonb)))
+  where id = p_id;
+end;
+$$ language plpgsql security definer set search_path = public, extensions;
+
+create or replace function delete_comment(p_id bigint, p_password text)
+returns void as $$
+declare
+  stored text;
+begin
+  select password into stored from comments where id = p_id;
+  if stored is null or crypt(p_password, stored) <> stored then
+    raise exception 'invalid_password' using errcode = '28P01';
+  end if;
+
+  delete from comments where id = p_id;
+end;
+$$ language plpgsql security definer set search_path = public, extensions;
+
+grant execute on function update_record(bigint, text, jsonb) to anon, authenticated;
+grant execute on function delete_comment(bigint, text) to anon, authenticated;
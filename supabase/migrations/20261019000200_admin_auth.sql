@@ -0,0 +1,39 @@
+-- 관리자 인증: Supabase Auth 사용자 중 admins 테이블에 등록된 사람만 관리자
+create table if not exists admins (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+alter table admins enable row level security;
+-- admins 테이블은 클라이언트에서 직접 읽거나 쓰지 않음 (is_admin()으로만 확인)
+
+create or replace function is_admin() returns boolean as $$
+  select exists (select 1 from admins where user_id = auth.uid());
+$$ language sql stable security definer set search_path = public;
+
+grant execute on function is_admin() to anon, authenticated;
+
+-- records / comments 행 수준 보안
+alter table records enable row level security;
+alter table comments enable row level security;
+
+drop policy if exists "records_select" on records;
+create policy "records_select" on records for select using (true);
+drop policy if exists "records_insert" on records;
+create policy "records_insert" on records for insert with check (true);
+drop policy if exists "records_admin_delete" on records;
+create policy "records_admin_delete" on records for delete to authenticated using (is_admin());
+
+drop policy if exists "comments_select" on comments;
+create policy "comments_select" on comments for select using (true);
+drop policy if exists "comments_insert" on comments;
+create policy "comments_insert" on comments for insert with check (true);
+drop policy if exists "comments_admin_delete" on comments;
+create policy "comments_admin_delete" on comments for delete to authenticated using (is_admin());
+
+-- 일반 방문자는 직접 삭제 불가 (댓글은 delete_comment() 함수로만 삭제)
+revoke delete on records from anon;
+revoke delete on comments from anon;
+
+-- 관리자 등록 예시 (Authentication → Users에서 계정을 만든 뒤 실행)
+-- insert into admins (user_id) select id from auth.users where email = 'admin@example.com';
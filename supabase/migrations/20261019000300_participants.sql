@@ -0,0 +1,88 @@
+-- 참석자 명단: 사람(people)과 기록별 참석(record_participants)
+create table if not exists people (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT NOW(),
+  name TEXT NOT NULL UNIQUE
+);
+
+create table if not exists record_participants (
+  record_id BIGINT REFERENCES records(id) ON DELETE CASCADE,
+  person_id BIGINT REFERENCES people(id) ON DELETE CASCADE,
+  hours REAL, -- 기록의 hours와 다를 때만 입력 (null이면 기록 시간 사용)
+  PRIMARY KEY (record_id, person_id)
+);
+
+alter table people enable row level security;
+alter table record_participants enable row level security;
+
+drop policy if exists "people_select" on people;
+create policy "people_select" on people for select using (true);
+drop policy if exists "record_participants_select" on record_participants;
+create policy "record_participants_select" on record_participants for select using (true);
+
+grant select on people, record_participants to anon, authenticated;
+
+-- 기존 자유 입력 참석자(쉼표 구분) 이관
+insert into people (name)
+  select distinct trim(n) from records, unnest(string_to_array(participants, ',')) as n
+  where trim(n) <> ''
+on conflict (name) do nothing;
+
+insert into record_participants (record_id, person_id)
+  select distinct r.id, p.id
+  from records r, unnest(string_to_array(r.participants, ',')) as n
+  join people p on p.name = trim(n)
+on conflict do nothing;
+
+-- 참석자 목록 저장: 기록 비밀번호 확인 후 명단 교체
+-- p_list 예: [{"name": "지민", "hours": 2}, {"name": "서연", "hours": null}]
+create or replace function set_record_participants(p_record_id bigint, p_password text, p_list jsonb)
+returns void as $$
+declare
+  stored text;
+  item jsonb;
+  pid bigint;
+begin
+  select author_password into stored from records where id = p_record_id;
+  if stored is null or crypt(p_password, stored) <> stored then
+    raise exception 'invalid_password' using errcode = '28P01';
+  end if;
+
+  delete from record_participants where record_id = p_record_id;
+
+  for item in select * from jsonb_array_elements(coalesce(p_list, '[]'::jsonb)) loop
+    continue when trim(coalesce(item->>'name', '')) = '';
+
+    insert into people (name) values (trim(item->>'name'))
+      on conflict (name) do update set name = excluded.name
+      returning id into pid;
+
+    insert into record_participants (record_id, person_id, hours)
+      values (p_record_id, pid, nullif(item->>'hours', '')::real)
+      on conflict (record_id, person_id) do update set hours = excluded.hours;
+  end loop;
+
+  -- 목록 화면 호환용 텍스트 컬럼도 함께 갱신
+  update records set participants = (
+    select nullif(string_agg(p.name, ', ' order by p.name), '')
+    from record_participants rp join people p on p.id = rp.person_id
+    where rp.record_id = p_record_id
+  ) where id = p_record_id;
+end;
+$$ language plpgsql security definer set search_path = public, extensions;
+
+grant execute on function set_record_participants(bigint, text, jsonb) to anon, authenticated;
+
+-- 봉사자별 누적 시간 (p_year가 null이면 전체 기간)
+create or replace function person_totals(p_year int default null)
+returns table (person_id bigint, name text, activity_count bigint, total_hours real, last_date date) as $$
+  select p.id, p.name, count(r.id), coalesce(sum(coalesce(rp.hours, r.hours)), 0)::real, max(r.date)
+  from people p
+  join record_participants rp on rp.person_id = p.id
+  join records r on r.id = rp.record_id
+  where p_year is null or extract(year from r.date) = p_year
+  group by p.id, p.name
+  order by 4 desc, p.name;
+$$ language sql stable;
+
+grant execute on function person_totals(int) to anon, authenticated;
@@ -0,0 +1,23 @@
+-- 앱 설정 (키별 JSON 값). 누구나 읽고, 관리자만 수정
+create table if not exists settings (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL DEFAULT '{}'::jsonb,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+alter table settings enable row level security;
+
+drop policy if exists "settings_select" on settings;
+create policy "settings_select" on settings for select using (true);
+drop policy if exists "settings_admin_write" on settings;
+create policy "settings_admin_write" on settings for all to authenticated
+  using (is_admin()) with check (is_admin());
+
+grant select on settings to anon, authenticated;
+grant insert, update on settings to authenticated;
+
+-- 봉사활동 확인서 기본 양식
+insert into settings (key, value) values (
+  'certificate',
+  '{"group_name": "", "signer_title": "대표", "signer_name": "", "seal_url": "", "note": "위 사람은 아래와 같이 봉사활동에 참여하였음을 확인합니다."}'::jsonb
+) on conflict (key) do nothing;
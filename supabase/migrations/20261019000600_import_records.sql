@@ -0,0 +1,38 @@
+-- 엑셀/CSV 일괄 가져오기: 관리자만, 한 번의 트랜잭션으로 삽입하고 참석자 명단까지 연결
+create or replace function import_records(p_rows jsonb)
+returns integer as $$
+declare
+  inserted_ids bigint[];
+begin
+  if not is_admin() then
+    raise exception 'admin_only' using errcode = '42501';
+  end if;
+
+  with inserted as (
+    insert into records (date, name, organization, hours, location, participants, description,
+                         author_name, author_password, photos)
+    select (r->>'date')::date, r->>'name', r->>'organization', (r->>'hours')::real,
+           nullif(r->>'location', ''), nullif(r->>'participants', ''), nullif(r->>'description', ''),
+           r->>'author_name', r->>'author_password', '{}'
+    from jsonb_array_elements(p_rows) as r
+    returning id
+  )
+  select array_agg(id) into inserted_ids from inserted;
+
+  insert into people (name)
+    select distinct trim(n) from records, unnest(string_to_array(participants, ',')) as n
+    where records.id = any(inserted_ids) and trim(n) <> ''
+  on conflict (name) do nothing;
+
+  insert into record_participants (record_id, person_id)
+    select distinct r.id, p.id
+    from records r, unnest(string_to_array(r.participants, ',')) as n
+    join people p on p.name = trim(n)
+    where r.id = any(inserted_ids)
+  on conflict do nothing;
+
+  return coalesce(array_length(inserted_ids, 1), 0);
+end;
+$$ language plpgsql security definer set search_path = public, extensions;
+
+grant execute on function import_records(jsonb) to authenticated;
@@ -0,0 +1,43 @@
+-- 서버 정렬용 컬럼: 마지막 수정 시각, 댓글 수
+alter table records add column if not exists updated_at TIMESTAMP DEFAULT NOW();
+alter table records add column if not exists comment_count INTEGER NOT NULL DEFAULT 0;
+
+update records set updated_at = coalesce(updated_at, created_at);
+update records r set comment_count = (select count(*) from comments c where c.record_id = r.id);
+
+-- 기록 내용이 바뀔 때만 updated_at 갱신 (댓글 수 변경은 제외)
+create or replace function touch_record_updated_at() returns trigger as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists records_touch_updated_at on records;
+create trigger records_touch_updated_at
+  before update of date, name, organization, hours, location, participants, description, photos on records
+  for each row execute function touch_record_updated_at();
+
+-- 댓글 추가/삭제 시 comment_count 유지
+create or replace function sync_record_comment_count() returns trigger as $$
+begin
+  if tg_op = 'INSERT' then
+    update records set comment_count = comment_count + 1 where id = new.record_id;
+  elsif tg_op = 'DELETE' then
+    update records set comment_count = greatest(comment_count - 1, 0) where id = old.record_id;
+  end if;
+  return null;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+drop trigger if exists comments_sync_count on comments;
+create trigger comments_sync_count
+  after insert or delete on comments
+  for each row execute function sync_record_comment_count();
+
+grant select (updated_at, comment_count) on records to anon, authenticated;
+
+create index if not exists records_date_idx on records (date desc, id desc);
+create index if not exists records_hours_idx on records (hours desc);
+create index if not exists records_comment_count_idx on records (comment_count desc);
+create index if not exists records_updated_at_idx on records (updated_at desc);
@@ -0,0 +1,30 @@
+-- 통계 대시보드용 집계 (불러온 페이지와 무관한 전체 기준)
+create or replace function record_stats() returns json as $$
+  select json_build_object(
+    'record_count', (select count(*) from records),
+    'total_hours', (select coalesce(round(sum(hours)::numeric, 1), 0) from records),
+    'comment_count', (select count(*) from comments),
+    'avg_hours', (select coalesce(round(avg(hours)::numeric, 1), 0) from records),
+    'monthly', (
+      select coalesce(json_agg(m order by m.month), '[]'::json) from (
+        select to_char(date, 'YYYY-MM') as month, count(*) as count, round(sum(hours)::numeric, 1) as hours
+        from records where date is not null group by 1
+      ) m
+    ),
+    'yearly', (
+      select coalesce(json_agg(y order by y.year), '[]'::json) from (
+        select extract(year from date)::int as year, count(*) as count, round(sum(hours)::numeric, 1) as hours
+        from records where date is not null group by 1
+      ) y
+    ),
+    'top_organizations', (
+      select coalesce(json_agg(o), '[]'::json) from (
+        select organization, count(*) as count, round(sum(hours)::numeric, 1) as hours
+        from records where organization is not null
+        group by organization order by sum(hours) desc, count(*) desc limit 10
+      ) o
+    )
+  );
+$$ language sql stable security definer set search_path = public;
+
+grant execute on function record_stats() to anon, authenticated;
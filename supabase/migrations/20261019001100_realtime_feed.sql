@@ -0,0 +1,31 @@
+-- 실시간 반영: 변경된 행의 id만 'volunteer-feed' 채널로 브로드캐스트
+-- (postgres_changes는 비밀번호 컬럼까지 행 전체를 보내므로 사용하지 않음)
+create or replace function broadcast_feed_change() returns trigger as $$
+declare
+  row_data jsonb;
+begin
+  row_data := to_jsonb(case when tg_op = 'DELETE' then old else new end);
+
+  perform realtime.send(
+    jsonb_build_object(
+      'table', tg_table_name,
+      'id', (row_data->>'id')::bigint,
+      'record_id', (coalesce(row_data->>'record_id', row_data->>'id'))::bigint
+    ),
+    tg_op,
+    'volunteer-feed',
+    false
+  );
+  return null;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+drop trigger if exists records_broadcast on records;
+create trigger records_broadcast
+  after insert or update or delete on records
+  for each row execute function broadcast_feed_change();
+
+drop trigger if exists comments_broadcast on comments;
+create trigger comments_broadcast
+  after insert or update or delete on comments
+  for each row execute function broadcast_feed_change();
@@ -0,0 +1,89 @@
+-- 사진 정리: 기록에 연결되지 않은 파일만 지울 수 있게 하고, 관리자용 정리 목록 제공
+-- 썸네일(thumb/…)은 같은 이름의 full/… 파일이 쓰이는지로 판단. settings/ 아래(직인 이미지)는 대상 아님
+
+create or replace function photo_is_referenced(p_name TEXT) returns boolean as $$
+  select p_name like 'settings/%' or exists (
+    select 1
+    from records r, unnest(r.photos) as photo
+    where right(photo, length('/volunteer-photos/' || regexp_replace(p_name, '^thumb/', 'full/')))
+      = '/volunteer-photos/' || regexp_replace(p_name, '^thumb/', 'full/')
+  );
+$$ language sql stable security definer set search_path = public;
+
+grant execute on function photo_is_referenced(TEXT) to anon, authenticated;
+
+-- 기록에 쓰이지 않는 파일 삭제 허가: 봉사자는 대부분 로그인하지 않아 파일 owner가 비어 있으므로
+-- 올린 사람 대신 "파일 이름을 아는 사람"만 지울 수 있게 함. 익명 방문자에게 목록 조회를 열면
+-- 다른 사람이 작성 중인 폼·초안·오프라인 대기함의 사진 이름까지 보이므로, 허가받은 이름만 잠깐 보이게 함
+create table if not exists photo_delete_grants (
+  name TEXT PRIMARY KEY,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- 직접 읽기·쓰기 정책 없음: 아래 함수로만 다룸
+alter table photo_delete_grants enable row level security;
+
+-- 주어진 경로 중 실제로 있고 기록에 쓰이지 않는 파일만 5분 동안 삭제 허가. 허가된 경로 반환
+create or replace function allow_photo_delete(p_paths TEXT[])
+returns setof TEXT as $$
+begin
+  delete from photo_delete_grants where expires_at < now();
+
+  return query
+    insert into photo_delete_grants (name, expires_at)
+      select o.name, now() + interval '5 minutes'
+      from storage.objects o
+      where o.bucket_id = 'volunteer-photos'
+        and o.name = any(p_paths)
+        and not photo_is_referenced(o.name)
+    on conflict (name) do update set expires_at = excluded.expires_at
+    returning photo_delete_grants.name;
+end;
+$$ language plpgsql security definer set search_path = public, storage;
+
+grant execute on function allow_photo_delete(TEXT[]) to anon, authenticated;
+
+create or replace function photo_delete_allowed(p_name TEXT) returns boolean as $$
+  select exists (select 1 from photo_delete_grants where name = p_name and expires_at > now())
+    and not photo_is_referenced(p_name);
+$$ language sql stable security definer set search_path = public;
+
+grant execute on function photo_delete_allowed(TEXT) to anon, authenticated;
+
+-- 삭제는 허가받은 파일(누구나), 관리자는 모두 가능
+drop policy if exists "photos_delete_unreferenced" on storage.objects;
+drop policy if exists "photos_owner_delete" on storage.objects;
+drop policy if exists "photos_allowed_delete" on storage.objects;
+create policy "photos_allowed_delete" on storage.objects for delete to anon, authenticated
+  using (bucket_id = 'volunteer-photos' and public.photo_delete_allowed(name));
+drop policy if exists "photos_admin_delete" on storage.objects;
+create policy "photos_admin_delete" on storage.objects for delete to authenticated
+  using (bucket_id = 'volunteer-photos' and public.is_admin());
+
+-- Storage remove()는 지울 행을 먼저 조회하므로 삭제할 수 있는 행만 보이게 SELECT 정책도 필요
+drop policy if exists "photos_owner_admin_select" on storage.objects;
+drop policy if exists "photos_allowed_select" on storage.objects;
+create policy "photos_allowed_select" on storage.objects for select to anon, authenticated
+  using (bucket_id = 'volunteer-photos' and public.photo_delete_allowed(name));
+drop policy if exists "photos_admin_select" on storage.objects;
+create policy "photos_admin_select" on storage.objects for select to authenticated
+  using (bucket_id = 'volunteer-photos' and public.is_admin());
+
+-- 관리자 저장공간 정리: 연결되지 않은 파일 목록과 크기
+create or replace function list_orphan_photos()
+returns table (name TEXT, size BIGINT, created_at TIMESTAMPTZ) as $$
+begin
+  if not is_admin() then
+    raise exception 'admin only' using errcode = '42501';
+  end if;
+
+  return query
+    select o.name, coalesce((o.metadata->>'size')::bigint, 0), o.created_at
+    from storage.objects o
+    where o.bucket_id = 'volunteer-photos'
+      and not photo_is_referenced(o.name)
+    order by o.created_at;
+end;
+$$ language plpgsql stable security definer set search_path = public, storage;
+
+grant execute on function list_orphan_photos() to authenticated;
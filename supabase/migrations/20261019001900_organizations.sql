@@ -0,0 +1,94 @@
+-- 기관 목록: 기록의 organization(텍스트)과 이름으로 연결. 연락처·주소·메모는 관리자만 수정
+create table if not exists organizations (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT NOW(),
+  name TEXT NOT NULL UNIQUE,
+  contact_name TEXT,
+  phone TEXT,
+  email TEXT,
+  address TEXT,
+  notes TEXT
+);
+
+alter table organizations enable row level security;
+
+drop policy if exists "organizations_select" on organizations;
+create policy "organizations_select" on organizations for select using (true);
+drop policy if exists "organizations_admin_update" on organizations;
+create policy "organizations_admin_update" on organizations for update to authenticated
+  using (is_admin()) with check (is_admin());
+
+grant select on organizations to anon, authenticated;
+grant update on organizations to authenticated;
+
+create index if not exists records_organization_idx on records (organization);
+
+-- 기존 기록의 기관 이름 이관
+update records set organization = trim(organization) where organization <> trim(organization);
+
+insert into organizations (name)
+  select distinct organization from records
+  where coalesce(organization, '') <> ''
+on conflict (name) do nothing;
+
+-- 기록에 처음 나온 기관은 자동으로 목록에 추가
+create or replace function register_record_organization() returns trigger as $$
+begin
+  new.organization := nullif(trim(new.organization), '');
+  if new.organization is not null then
+    insert into organizations (name) values (new.organization) on conflict (name) do nothing;
+  end if;
+  return new;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+drop trigger if exists records_register_organization on records;
+create trigger records_register_organization
+  before insert or update of organization on records
+  for each row execute function register_record_organization();
+
+-- 기관별 방문 횟수, 누적 시간, 첫/마지막 방문일
+create or replace function organization_summaries()
+returns table (id bigint, name text, visit_count bigint, total_hours real, first_date date, last_date date) as $$
+  select o.id, o.name, count(r.id), coalesce(sum(r.hours), 0)::real, min(r.date), max(r.date)
+  from organizations o
+  left join records r on r.organization = o.name
+  group by o.id, o.name
+  order by 3 desc, o.name;
+$$ language sql stable;
+
+grant execute on function organization_summaries() to anon, authenticated;
+
+-- 같은 기관의 다른 표기 합치기 (관리자): p_source의 기록을 p_target 이름으로 바꾸고 p_source 삭제
+-- 연락처 등은 p_target에 비어 있는 항목만 p_source 값으로 채움
+create or replace function merge_organizations(p_source_id bigint, p_target_id bigint)
+returns void as $$
+declare
+  source organizations;
+  target organizations;
+begin
+  if not is_admin() then
+    raise exception 'admin only' using errcode = '42501';
+  end if;
+
+  select * into source from organizations where id = p_source_id;
+  select * into target from organizations where id = p_target_id;
+  if source.id is null or target.id is null or source.id = target.id then
+    raise exception 'invalid organizations' using errcode = '22023';
+  end if;
+
+  update records set organization = target.name where organization = source.name;
+
+  update organizations set
+    contact_name = coalesce(contact_name, source.contact_name),
+    phone = coalesce(phone, source.phone),
+    email = coalesce(email, source.email),
+    address = coalesce(address, source.address),
+    notes = nullif(concat_ws(E'\n', notes, source.notes), '')
+  where id = target.id;
+
+  delete from organizations where id = source.id;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+grant execute on function merge_organizations(bigint, bigint) to authenticated;
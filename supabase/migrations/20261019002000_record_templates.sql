@@ -0,0 +1,24 @@
+-- 자주 하는 활동 템플릿: 등록 모달에서 불러와 날짜·사진만 바꿔 등록. 누구나 저장, 삭제는 관리자만
+create table if not exists record_templates (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT NOW(),
+  title TEXT NOT NULL,
+  name TEXT,
+  organization TEXT,
+  hours REAL,
+  location TEXT,
+  description TEXT,
+  participant_list JSONB NOT NULL DEFAULT '[]'::jsonb -- [{"name": "지민", "hours": 2}, ...]
+);
+
+alter table record_templates enable row level security;
+
+drop policy if exists "record_templates_select" on record_templates;
+create policy "record_templates_select" on record_templates for select using (true);
+drop policy if exists "record_templates_insert" on record_templates;
+create policy "record_templates_insert" on record_templates for insert with check (true);
+drop policy if exists "record_templates_admin_delete" on record_templates;
+create policy "record_templates_admin_delete" on record_templates for delete to authenticated using (is_admin());
+
+grant select, insert on record_templates to anon, authenticated;
+grant delete on record_templates to authenticated;
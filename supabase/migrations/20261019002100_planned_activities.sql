@@ -0,0 +1,132 @@
+-- 예정된 활동과 참가 신청(RSVP). 신청은 댓글처럼 닉네임+비밀번호, 활동이 끝나면 기록으로 옮김
+create table if not exists planned_activities (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT NOW(),
+  date DATE NOT NULL,
+  name TEXT NOT NULL,
+  organization TEXT NOT NULL,
+  location TEXT,
+  hours REAL, -- 예상 시간 (기록으로 옮길 때 기본값)
+  description TEXT,
+  author_name TEXT,
+  author_password TEXT,
+  record_id BIGINT REFERENCES records(id) ON DELETE SET NULL -- 기록으로 옮긴 뒤 연결
+);
+
+create table if not exists rsvps (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT NOW(),
+  activity_id BIGINT NOT NULL REFERENCES planned_activities(id) ON DELETE CASCADE,
+  nickname TEXT NOT NULL,
+  password TEXT,
+  UNIQUE (activity_id, nickname)
+);
+
+create index if not exists planned_activities_date_idx on planned_activities (date);
+
+-- 비밀번호는 기록/댓글과 같은 트리거 함수로 해시
+drop trigger if exists planned_activities_hash_password on planned_activities;
+create trigger planned_activities_hash_password
+  before insert or update of author_password on planned_activities
+  for each row execute function hash_record_password();
+
+drop trigger if exists rsvps_hash_password on rsvps;
+create trigger rsvps_hash_password
+  before insert or update of password on rsvps
+  for each row execute function hash_comment_password();
+
+alter table planned_activities enable row level security;
+alter table rsvps enable row level security;
+
+drop policy if exists "planned_activities_select" on planned_activities;
+create policy "planned_activities_select" on planned_activities for select using (true);
+drop policy if exists "planned_activities_insert" on planned_activities;
+create policy "planned_activities_insert" on planned_activities for insert with check (record_id is null);
+drop policy if exists "planned_activities_admin_delete" on planned_activities;
+create policy "planned_activities_admin_delete" on planned_activities for delete to authenticated using (is_admin());
+
+drop policy if exists "rsvps_select" on rsvps;
+create policy "rsvps_select" on rsvps for select using (true);
+-- 기록으로 옮긴 활동에는 더 이상 신청할 수 없음
+drop policy if exists "rsvps_insert" on rsvps;
+create policy "rsvps_insert" on rsvps for insert with check (
+  exists (select 1 from planned_activities a where a.id = activity_id and a.record_id is null)
+);
+
+grant select (id, created_at, date, name, organization, location, hours, description, author_name, record_id)
+  on planned_activities to anon, authenticated;
+grant insert on planned_activities to anon, authenticated;
+grant delete on planned_activities to authenticated;
+
+grant select (id, created_at, activity_id, nickname) on rsvps to anon, authenticated;
+grant insert on rsvps to anon, authenticated;
+
+-- 신청 취소: 신청할 때 쓴 비밀번호 확인
+create or replace function cancel_rsvp(p_id bigint, p_password text)
+returns void as $$
+declare
+  stored text;
+begin
+  select password into stored from rsvps where id = p_id;
+  if stored is null or crypt(p_password, stored) <> stored then
+    raise exception 'invalid_password' using errcode = '28P01';
+  end if;
+
+  delete from rsvps where id = p_id;
+end;
+$$ language plpgsql security definer set search_path = public, extensions;
+
+-- 활동 삭제: 올린 사람 비밀번호 확인 (관리자는 RLS로 직접 삭제)
+create or replace function delete_planned_activity(p_id bigint, p_password text)
+returns void as $$
+declare
+  stored text;
+begin
+  select author_password into stored from planned_activities where id = p_id;
+  if stored is null or crypt(p_password, stored) <> stored then
+    raise exception 'invalid_password' using errcode = '28P01';
+  end if;
+
+  delete from planned_activities where id = p_id;
+end;
+$$ language plpgsql security definer set search_path = public, extensions;
+
+-- 기록으로 옮기기: 같은 비밀번호로 기록을 만들고 신청자를 참석자로 등록. 새 기록 id 반환
+create or replace function convert_planned_activity(p_id bigint, p_password text, p_hours real)
+returns bigint as $$
+declare
+  activity planned_activities;
+  new_id bigint;
+begin
+  -- 동시에 두 번 옮기지 않도록 행을 잠그고 확인
+  select * into activity from planned_activities where id = p_id for update;
+  if activity.author_password is null or crypt(p_password, activity.author_password) <> activity.author_password then
+    raise exception 'invalid_password' using errcode = '28P01';
+  end if;
+  if activity.record_id is not null then
+    raise exception 'already converted' using errcode = '23505';
+  end if;
+  -- 아직 오지 않은 활동은 옮길 수 없음 (앱과 같은 한국 날짜 기준)
+  if activity.date > (now() at time zone 'Asia/Seoul')::date then
+    raise exception 'activity not finished' using errcode = '22023';
+  end if;
+
+  -- 확인한 비밀번호로 저장 (hash_record_password가 새로 해시함)
+  insert into records (date, name, organization, hours, location, description, author_name, author_password, photos)
+    values (activity.date, activity.name, activity.organization, coalesce(p_hours, activity.hours, 0),
+            activity.location, activity.description, activity.author_name, p_password, '{}')
+    returning id into new_id;
+
+  perform set_record_participants(new_id, p_password, (
+    select coalesce(jsonb_agg(jsonb_build_object('name', nickname, 'hours', null) order by created_at), '[]'::jsonb)
+    from rsvps where activity_id = p_id
+  ));
+
+  update planned_activities set record_id = new_id where id = p_id;
+  return new_id;
+end;
+$$ language plpgsql security definer set search_path = public, extensions;
+
+grant execute on function cancel_rsvp(bigint, text) to anon, authenticated;
+grant execute on function delete_planned_activity(bigint, text) to anon, authenticated;
+grant execute on function convert_planned_activity(bigint, text, real) to anon, authenticated;
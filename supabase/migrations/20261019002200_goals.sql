@@ -0,0 +1,3 @@
+-- 연간 봉사 시간 목표 (연도별 단체/1인당/사람별 목표). 수정은 관리자만 (settings 정책)
+insert into settings (key, value) values ('goals', '{}'::jsonb)
+  on conflict (key) do nothing;
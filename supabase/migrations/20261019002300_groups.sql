@@ -0,0 +1,271 @@
+-- 여러 봉사 모임(그룹)을 한 배포에서 운영: 기록·댓글·통계·관리자 권한을 그룹 단위로 나눔
+-- 사람(people)과 기관 목록(organizations), 확인서 양식은 모든 그룹이 함께 씀
+create table if not exists groups (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT NOW(),
+  slug TEXT NOT NULL UNIQUE CHECK (slug ~ '^[a-z0-9-]+$'), -- 주소: /g/<slug>
+  name TEXT NOT NULL,
+  title TEXT,    -- 헤더 제목 (비우면 name)
+  subtitle TEXT, -- 헤더 안내 문구
+  logo_url TEXT,
+  goals JSONB NOT NULL DEFAULT '{}'::jsonb -- 연간 목표 (이전에는 settings의 'goals')
+);
+
+-- 그룹 관리자. admins(전체 관리자)는 모든 그룹의 관리자
+create table if not exists group_admins (
+  group_id BIGINT NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (group_id, user_id)
+);
+
+alter table groups enable row level security;
+alter table group_admins enable row level security;
+-- group_admins도 admins처럼 클라이언트에서 직접 읽거나 쓰지 않음 (is_group_admin()으로만 확인)
+
+create or replace function is_group_admin(p_group_id bigint) returns boolean as $$
+  select is_admin() or exists (
+    select 1 from group_admins where group_id = p_group_id and user_id = auth.uid()
+  );
+$$ language sql stable security definer set search_path = public;
+
+grant execute on function is_group_admin(bigint) to anon, authenticated;
+
+drop policy if exists "groups_select" on groups;
+create policy "groups_select" on groups for select using (true);
+drop policy if exists "groups_admin_update" on groups;
+create policy "groups_admin_update" on groups for update to authenticated
+  using (is_group_admin(id)) with check (is_group_admin(id));
+drop policy if exists "groups_admin_insert" on groups;
+create policy "groups_admin_insert" on groups for insert to authenticated with check (is_admin());
+
+grant select on groups to anon, authenticated;
+grant insert on groups to authenticated;
+grant update (name, title, subtitle, logo_url, goals) on groups to authenticated;
+
+-- 기존 데이터는 기본 그룹으로 (헤더 문구와 목표도 그대로 옮김)
+insert into groups (slug, name, title, subtitle, goals)
+  values (
+    'default',
+    '소중한 봉사 기록장',
+    '[매월 1회] 소중한 봉사 기록장🥰',
+    E'주최자는 진행한 봉사 활동 기록을 남겨주시고\n참석자는 해당 기록에 댓글로 간단한 후기/소감을 남겨주세요',
+    coalesce((select value from settings where key = 'goals'), '{}'::jsonb)
+  )
+on conflict (slug) do nothing;
+
+delete from settings where key = 'goals';
+
+-- group_id 없이 들어오는 요청(이전 버전 앱, 오프라인 대기함)은 기본 그룹으로
+create or replace function default_group_id() returns bigint as $$
+  select id from groups where slug = 'default';
+$$ language sql stable security definer set search_path = public;
+
+alter table records add column if not exists group_id BIGINT REFERENCES groups(id);
+alter table planned_activities add column if not exists group_id BIGINT REFERENCES groups(id);
+alter table record_templates add column if not exists group_id BIGINT REFERENCES groups(id);
+
+update records set group_id = default_group_id() where group_id is null;
+update planned_activities set group_id = default_group_id() where group_id is null;
+update record_templates set group_id = default_group_id() where group_id is null;
+
+alter table records alter column group_id set default default_group_id();
+alter table records alter column group_id set not null;
+alter table planned_activities alter column group_id set default default_group_id();
+alter table planned_activities alter column group_id set not null;
+alter table record_templates alter column group_id set default default_group_id();
+alter table record_templates alter column group_id set not null;
+
+create index if not exists records_group_date_idx on records (group_id, date desc, id desc);
+create index if not exists planned_activities_group_date_idx on planned_activities (group_id, date);
+
+grant select (group_id) on records to anon, authenticated;
+grant select (group_id) on planned_activities to anon, authenticated;
+
+-- 관리자 삭제 권한을 그룹 관리자 기준으로
+drop policy if exists "records_admin_delete" on records;
+create policy "records_admin_delete" on records for delete to authenticated using (is_group_admin(group_id));
+drop policy if exists "comments_admin_delete" on comments;
+create policy "comments_admin_delete" on comments for delete to authenticated
+  using (is_group_admin((select r.group_id from records r where r.id = record_id)));
+drop policy if exists "planned_activities_admin_delete" on planned_activities;
+create policy "planned_activities_admin_delete" on planned_activities for delete to authenticated
+  using (is_group_admin(group_id));
+drop policy if exists "record_templates_admin_delete" on record_templates;
+create policy "record_templates_admin_delete" on record_templates for delete to authenticated
+  using (is_group_admin(group_id));
+
+-- 사진 파일(storage)의 관리자 삭제 정책은 전체 관리자(저장공간 정리)용으로 그대로 둠.
+-- 그룹 관리자가 기록을 지우면 그 사진은 더 이상 기록에 쓰이지 않으므로 allow_photo_delete 허가를 받아 지움
+
+-- 통계·명단·기관 집계에 그룹 조건 추가 (null이면 전체)
+drop function if exists record_stats();
+create or replace function record_stats(p_group_id bigint default null) returns json as $$
+  with g_records as (
+    select * from records where p_group_id is null or group_id = p_group_id
+  )
+  select json_build_object(
+    'record_count', (select count(*) from g_records),
+    'total_hours', (select coalesce(round(sum(hours)::numeric, 1), 0) from g_records),
+    'comment_count', (select count(*) from comments c join g_records r on r.id = c.record_id),
+    'avg_hours', (select coalesce(round(avg(hours)::numeric, 1), 0) from g_records),
+    'monthly', (
+      select coalesce(json_agg(m order by m.month), '[]'::json) from (
+        select to_char(date, 'YYYY-MM') as month, count(*) as count, round(sum(hours)::numeric, 1) as hours
+        from g_records where date is not null group by 1
+      ) m
+    ),
+    'yearly', (
+      select coalesce(json_agg(y order by y.year), '[]'::json) from (
+        select extract(year from date)::int as year, count(*) as count, round(sum(hours)::numeric, 1) as hours
+        from g_records where date is not null group by 1
+      ) y
+    ),
+    'top_organizations', (
+      select coalesce(json_agg(o), '[]'::json) from (
+        select organization, count(*) as count, round(sum(hours)::numeric, 1) as hours
+        from g_records where organization is not null
+        group by organization order by sum(hours) desc, count(*) desc limit 10
+      ) o
+    )
+  );
+$$ language sql stable security definer set search_path = public;
+
+grant execute on function record_stats(bigint) to anon, authenticated;
+
+drop function if exists person_totals(int);
+create or replace function person_totals(p_year int default null, p_group_id bigint default null)
+returns table (person_id bigint, name text, activity_count bigint, total_hours real, last_date date) as $$
+  select p.id, p.name, count(r.id), coalesce(sum(coalesce(rp.hours, r.hours)), 0)::real, max(r.date)
+  from people p
+  join record_participants rp on rp.person_id = p.id
+  join records r on r.id = rp.record_id
+  where (p_year is null or extract(year from r.date) = p_year)
+    and (p_group_id is null or r.group_id = p_group_id)
+  group by p.id, p.name
+  order by 4 desc, p.name;
+$$ language sql stable;
+
+grant execute on function person_totals(int, bigint) to anon, authenticated;
+
+-- 그룹을 지정하면 그 그룹이 방문한 기관만
+drop function if exists organization_summaries();
+create or replace function organization_summaries(p_group_id bigint default null)
+returns table (id bigint, name text, visit_count bigint, total_hours real, first_date date, last_date date) as $$
+  select o.id, o.name, count(r.id), coalesce(sum(r.hours), 0)::real, min(r.date), max(r.date)
+  from organizations o
+  left join records r on r.organization = o.name and (p_group_id is null or r.group_id = p_group_id)
+  group by o.id, o.name
+  having p_group_id is null or count(r.id) > 0
+  order by 3 desc, o.name;
+$$ language sql stable;
+
+grant execute on function organization_summaries(bigint) to anon, authenticated;
+
+-- 일괄 가져오기: 그룹 관리자가 자기 그룹으로
+drop function if exists import_records(jsonb);
+create or replace function import_records(p_group_id bigint, p_rows jsonb)
+returns integer as $$
+declare
+  inserted_ids bigint[];
+begin
+  if not is_group_admin(p_group_id) then
+    raise exception 'admin_only' using errcode = '42501';
+  end if;
+
+  with inserted as (
+    insert into records (group_id, date, name, organization, hours, location, participants, description,
+                         author_name, author_password, photos)
+    select p_group_id, (r->>'date')::date, r->>'name', r->>'organization', (r->>'hours')::real,
+           nullif(r->>'location', ''), nullif(r->>'participants', ''), nullif(r->>'description', ''),
+           r->>'author_name', r->>'author_password', '{}'
+    from jsonb_array_elements(p_rows) as r
+    returning id
+  )
+  select array_agg(id) into inserted_ids from inserted;
+
+  insert into people (name)
+    select distinct trim(n) from records, unnest(string_to_array(participants, ',')) as n
+    where records.id = any(inserted_ids) and trim(n) <> ''
+  on conflict (name) do nothing;
+
+  insert into record_participants (record_id, person_id)
+    select distinct r.id, p.id
+    from records r, unnest(string_to_array(r.participants, ',')) as n
+    join people p on p.name = trim(n)
+    where r.id = any(inserted_ids)
+  on conflict do nothing;
+
+  return coalesce(array_length(inserted_ids, 1), 0);
+end;
+$$ language plpgsql security definer set search_path = public, extensions;
+
+grant execute on function import_records(bigint, jsonb) to authenticated;
+
+-- 예정된 활동을 기록으로 옮길 때 같은 그룹에 등록
+create or replace function convert_planned_activity(p_id bigint, p_password text, p_hours real)
+returns bigint as $$
+declare
+  activity planned_activities;
+  new_id bigint;
+begin
+  -- 동시에 두 번 옮기지 않도록 행을 잠그고 확인
+  select * into activity from planned_activities where id = p_id for update;
+  if activity.author_password is null or crypt(p_password, activity.author_password) <> activity.author_password then
+    raise exception 'invalid_password' using errcode = '28P01';
+  end if;
+  if activity.record_id is not null then
+    raise exception 'already converted' using errcode = '23505';
+  end if;
+  -- 아직 오지 않은 활동은 옮길 수 없음 (앱과 같은 한국 날짜 기준)
+  if activity.date > (now() at time zone 'Asia/Seoul')::date then
+    raise exception 'activity not finished' using errcode = '22023';
+  end if;
+
+  -- 확인한 비밀번호로 저장 (hash_record_password가 새로 해시함)
+  insert into records (group_id, date, name, organization, hours, location, description, author_name, author_password, photos)
+    values (activity.group_id, activity.date, activity.name, activity.organization, coalesce(p_hours, activity.hours, 0),
+            activity.location, activity.description, activity.author_name, p_password, '{}')
+    returning id into new_id;
+
+  perform set_record_participants(new_id, p_password, (
+    select coalesce(jsonb_agg(jsonb_build_object('name', nickname, 'hours', null) order by created_at), '[]'::jsonb)
+    from rsvps where activity_id = p_id
+  ));
+
+  update planned_activities set record_id = new_id where id = p_id;
+  return new_id;
+end;
+$$ language plpgsql security definer set search_path = public, extensions;
+
+-- 실시간 알림에 그룹 id 포함 (다른 그룹의 변경은 클라이언트에서 무시)
+create or replace function broadcast_feed_change() returns trigger as $$
+declare
+  row_data jsonb;
+  row_record_id bigint;
+begin
+  row_data := to_jsonb(case when tg_op = 'DELETE' then old else new end);
+  row_record_id := (coalesce(row_data->>'record_id', row_data->>'id'))::bigint;
+
+  perform realtime.send(
+    jsonb_build_object(
+      'table', tg_table_name,
+      'id', (row_data->>'id')::bigint,
+      'record_id', row_record_id,
+      'group_id', coalesce(
+        (row_data->>'group_id')::bigint,
+        (select group_id from records where id = row_record_id)
+      )
+    ),
+    tg_op,
+    'volunteer-feed',
+    false
+  );
+  return null;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- 새 그룹 추가 예시 (전체 관리자) 와 그룹 관리자 지정
+-- insert into groups (slug, name, title) values ('class-3', '3반 봉사단', '3반 봉사 기록장');
+-- insert into group_admins (group_id, user_id)
+--   select g.id, u.id from groups g, auth.users u where g.slug = 'class-3' and u.email = 'teacher@example.com';
@@ -0,0 +1,100 @@
+-- 댓글 답글(한 단계), 수정 표시, 기록·댓글 이모지 반응
+alter table comments add column if not exists parent_id BIGINT REFERENCES comments(id) ON DELETE CASCADE;
+alter table comments add column if not exists edited_at TIMESTAMP;
+
+create index if not exists comments_parent_idx on comments (parent_id);
+
+grant select (parent_id, edited_at) on comments to anon, authenticated;
+
+-- 답글은 같은 기록의 최상위 댓글에만 (답글의 답글 없음)
+create or replace function check_comment_parent() returns trigger as $$
+begin
+  if new.parent_id is not null and not exists (
+    select 1 from comments p
+    where p.id = new.parent_id and p.record_id = new.record_id and p.parent_id is null
+  ) then
+    raise exception 'invalid parent comment' using errcode = '22023';
+  end if;
+  return new;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+drop trigger if exists comments_check_parent on comments;
+create trigger comments_check_parent
+  before insert on comments
+  for each row execute function check_comment_parent();
+
+-- 댓글 수정: 작성할 때 쓴 비밀번호 확인, 수정 시각 기록
+create or replace function update_comment(p_id bigint, p_password text, p_content text)
+returns void as $$
+declare
+  stored text;
+begin
+  select password into stored from comments where id = p_id;
+  if stored is null or crypt(p_password, stored) <> stored then
+    raise exception 'invalid_password' using errcode = '28P01';
+  end if;
+
+  update comments set content = p_content, edited_at = now() where id = p_id;
+end;
+$$ language plpgsql security definer set search_path = public, extensions;
+
+grant execute on function update_comment(bigint, text, text) to anon, authenticated;
+
+-- 반응: 로그인 없이 쓰므로 브라우저마다 만든 client_id로 구분 (client_id는 클라이언트에서 읽을 수 없음)
+create table if not exists reactions (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT NOW(),
+  record_id BIGINT REFERENCES records(id) ON DELETE CASCADE,
+  comment_id BIGINT REFERENCES comments(id) ON DELETE CASCADE,
+  emoji TEXT NOT NULL CHECK (emoji in ('👍', '❤️', '😊', '👏', '🙏')),
+  client_id TEXT NOT NULL,
+  CHECK ((record_id is null) <> (comment_id is null))
+);
+
+create unique index if not exists reactions_record_unique on reactions (record_id, emoji, client_id) where record_id is not null;
+create unique index if not exists reactions_comment_unique on reactions (comment_id, emoji, client_id) where comment_id is not null;
+
+alter table reactions enable row level security;
+-- 직접 읽기/쓰기 없음: 아래 함수로만
+
+-- 기록과 그 댓글들의 반응 집계 (mine: 이 브라우저가 누른 반응)
+create or replace function reaction_summary(p_record_id bigint, p_client_id text)
+returns table (record_id bigint, comment_id bigint, emoji text, count bigint, mine boolean) as $$
+  select r.record_id, r.comment_id, r.emoji, count(*), bool_or(r.client_id = p_client_id)
+  from reactions r
+  where r.record_id = p_record_id
+     or r.comment_id in (select c.id from comments c where c.record_id = p_record_id)
+  group by r.record_id, r.comment_id, r.emoji
+  order by min(r.created_at);
+$$ language sql stable security definer set search_path = public;
+
+-- 반응 누르기/취소. 바뀐 대상의 집계를 돌려줌
+create or replace function toggle_reaction(p_record_id bigint, p_comment_id bigint, p_emoji text, p_client_id text)
+returns table (record_id bigint, comment_id bigint, emoji text, count bigint, mine boolean) as $$
+begin
+  if coalesce(p_client_id, '') = '' then
+    raise exception 'client id required' using errcode = '22023';
+  end if;
+
+  delete from reactions r
+    where r.record_id is not distinct from p_record_id
+      and r.comment_id is not distinct from p_comment_id
+      and r.emoji = p_emoji and r.client_id = p_client_id;
+  if not found then
+    insert into reactions (record_id, comment_id, emoji, client_id)
+      values (p_record_id, p_comment_id, p_emoji, p_client_id);
+  end if;
+
+  return query
+    select r.record_id, r.comment_id, r.emoji, count(*), bool_or(r.client_id = p_client_id)
+    from reactions r
+    where r.record_id is not distinct from p_record_id
+      and r.comment_id is not distinct from p_comment_id
+    group by r.record_id, r.comment_id, r.emoji
+    order by min(r.created_at);
+end;
+$$ language plpgsql security definer set search_path = public;
+
+grant execute on function reaction_summary(bigint, text) to anon, authenticated;
+grant execute on function toggle_reaction(bigint, bigint, text, text) to anon, authenticated;
@@ -0,0 +1,141 @@
+-- 댓글 관리: 신고와 관리자 검토 목록, 그룹별 금지어, 같은 사용자의 연속 작성 제한
+alter table groups add column if not exists banned_words TEXT[] NOT NULL DEFAULT '{}';
+grant update (banned_words) on groups to authenticated;
+
+-- 작성한 브라우저(client_id)와 IP는 제한 확인용으로만 저장하고 클라이언트에는 보여주지 않음
+alter table comments add column if not exists client_id TEXT;
+alter table comments add column if not exists client_ip TEXT;
+
+create index if not exists comments_client_created_idx on comments (client_id, created_at desc);
+create index if not exists comments_ip_created_idx on comments (client_ip, created_at desc);
+
+-- 연속 작성 제한 (관리자가 settings에서 조정)
+-- per_client: 브라우저(client_id)별 1분에 허용하는 댓글 수
+-- per_ip: IP별 1분 허용 수. 학교·기관은 여러 사람이 한 IP를 함께 쓰므로 넉넉하게
+-- proxy_hops: X-Forwarded-For에 주소를 덧붙이는 신뢰하는 프록시 수 (앞단 프록시가 하나 더 있으면 2)
+insert into settings (key, value) values (
+  'comment_rate_limit', '{"per_client": 5, "per_ip": 60, "proxy_hops": 1}'::jsonb
+) on conflict (key) do nothing;
+
+create table if not exists comment_reports (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT NOW(),
+  comment_id BIGINT NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+  reason TEXT,
+  client_id TEXT NOT NULL,
+  UNIQUE (comment_id, client_id)
+);
+
+alter table comment_reports enable row level security;
+-- 직접 읽기/쓰기 없음: 아래 함수로만
+
+-- 금지어 검사 (대소문자 무시, 포함 여부). 걸린 단어를 돌려줌
+create or replace function find_banned_word(p_group_id bigint, p_text text) returns text as $$
+  select w from groups g, unnest(g.banned_words) as w
+  where g.id = p_group_id and trim(w) <> '' and position(lower(trim(w)) in lower(p_text)) > 0
+  limit 1;
+$$ language sql stable security definer set search_path = public;
+
+-- 작성/수정 시 금지어 차단, 작성 시 브라우저·IP별 연속 작성 제한 (comment_rate_limit 설정)
+create or replace function moderate_comment() returns trigger as $$
+declare
+  record_group_id bigint;
+  limits jsonb;
+  forwarded text[];
+  recent_count int;
+begin
+  select group_id into record_group_id from records where id = new.record_id;
+  if find_banned_word(record_group_id, concat_ws(' ', new.nickname, new.content)) is not null then
+    raise exception 'banned_word' using errcode = 'VR001';
+  end if;
+
+  if tg_op = 'INSERT' then
+    limits := coalesce((select value from settings where key = 'comment_rate_limit'), '{}'::jsonb);
+
+    -- X-Forwarded-For의 앞부분은 요청한 쪽이 마음대로 넣을 수 있으므로, 신뢰하는 프록시가 붙인 주소 중
+    -- 가장 앞의 것(뒤에서 proxy_hops번째)을 요청한 쪽 IP로 씀
+    forwarded := string_to_array(
+      coalesce(current_setting('request.headers', true)::json->>'x-forwarded-for', ''), ','
+    );
+    new.client_ip := nullif(trim(
+      forwarded[cardinality(forwarded) + 1 - coalesce((limits->>'proxy_hops')::int, 1)]
+    ), '');
+
+    if new.client_id is not null then
+      select count(*) into recent_count from comments
+        where client_id = new.client_id and created_at > now() - interval '1 minute';
+      if recent_count >= coalesce((limits->>'per_client')::int, 5) then
+        raise exception 'rate_limited' using errcode = 'VR002';
+      end if;
+    end if;
+
+    -- client_id는 요청에서 바꾸거나 빼서 보낼 수 있으므로 IP별로도 제한 (같은 IP의 여러 사람을 막지 않게 높은 기준)
+    if new.client_ip is not null then
+      select count(*) into recent_count from comments
+        where client_ip = new.client_ip and created_at > now() - interval '1 minute';
+      if recent_count >= coalesce((limits->>'per_ip')::int, 60) then
+        raise exception 'rate_limited' using errcode = 'VR002';
+      end if;
+    end if;
+  end if;
+  return new;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+drop trigger if exists comments_moderate on comments;
+create trigger comments_moderate
+  before insert or update of content on comments
+  for each row execute function moderate_comment();
+
+-- 신고: 브라우저마다 한 번
+create or replace function report_comment(p_comment_id bigint, p_reason text, p_client_id text)
+returns void as $$
+begin
+  if coalesce(p_client_id, '') = '' then
+    raise exception 'client id required' using errcode = '22023';
+  end if;
+
+  insert into comment_reports (comment_id, reason, client_id)
+    values (p_comment_id, nullif(trim(p_reason), ''), p_client_id);
+end;
+$$ language plpgsql security definer set search_path = public;
+
+grant execute on function report_comment(bigint, text, text) to anon, authenticated;
+
+-- 관리자 검토 목록: 신고된 댓글과 신고 수·사유 (그룹 관리자)
+create or replace function moderation_queue(p_group_id bigint)
+returns table (
+  comment_id bigint, record_id bigint, record_name text, nickname text, content text,
+  comment_timestamp text, report_count bigint, reasons text[], last_reported_at timestamp
+) as $$
+begin
+  if not is_group_admin(p_group_id) then
+    raise exception 'admin only' using errcode = '42501';
+  end if;
+
+  return query
+    select c.id, r.id, r.name, c.nickname, c.content, c.timestamp,
+           count(cr.id), array_remove(array_agg(cr.reason order by cr.created_at), null), max(cr.created_at)
+    from comment_reports cr
+    join comments c on c.id = cr.comment_id
+    join records r on r.id = c.record_id
+    where r.group_id = p_group_id
+    group by c.id, r.id
+    order by count(cr.id) desc, max(cr.created_at) desc;
+end;
+$$ language plpgsql stable security definer set search_path = public;
+
+-- 문제없는 댓글로 보고 신고만 지움
+create or replace function dismiss_comment_reports(p_comment_id bigint)
+returns void as $$
+begin
+  if not is_group_admin((select r.group_id from comments c join records r on r.id = c.record_id where c.id = p_comment_id)) then
+    raise exception 'admin only' using errcode = '42501';
+  end if;
+
+  delete from comment_reports where comment_id = p_comment_id;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+grant execute on function moderation_queue(bigint) to authenticated;
+grant execute on function dismiss_comment_reports(bigint) to authenticated;
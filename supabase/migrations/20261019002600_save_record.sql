@@ -0,0 +1,67 @@
+-- 기록 저장과 참석자 명단 연결을 한 트랜잭션으로: 중간에 실패하면 기록도 남지 않음
+-- (따로 호출하면 명단 저장이 실패했을 때 기록만 남고, 다시 시도하면 같은 기록이 두 번 생김)
+
+-- 새 기록 + 참석자 명단. 새 기록 id 반환
+-- p_data: records 컬럼 값, p_participants 예: [{"name": "지민", "hours": 2}]
+create or replace function create_record(p_data jsonb, p_participants jsonb)
+returns bigint as $$
+declare
+  new_id bigint;
+begin
+  insert into records (group_id, date, name, organization, hours, location, participants, description,
+                       author_name, author_password, photos)
+    values (
+      coalesce((p_data->>'group_id')::bigint, default_group_id()),
+      (p_data->>'date')::date,
+      p_data->>'name',
+      p_data->>'organization',
+      (p_data->>'hours')::real,
+      p_data->>'location',
+      p_data->>'participants',
+      p_data->>'description',
+      p_data->>'author_name',
+      p_data->>'author_password',
+      array(select jsonb_array_elements_text(coalesce(p_data->'photos', '[]'::jsonb)))
+    )
+    returning id into new_id;
+
+  if jsonb_array_length(coalesce(p_participants, '[]'::jsonb)) > 0 then
+    perform set_record_participants(new_id, p_data->>'author_password', p_participants);
+  end if;
+
+  return new_id;
+end;
+$$ language plpgsql security definer set search_path = public, extensions;
+
+grant execute on function create_record(jsonb, jsonb) to anon, authenticated;
+
+-- 기록 수정 + 참석자 명단 (p_participants가 null이면 명단은 그대로)
+drop function if exists update_record(bigint, text, jsonb);
+create or replace function update_record(p_id bigint, p_password text, p_data jsonb, p_participants jsonb default null)
+returns void as $$
+declare
+  stored text;
+begin
+  select author_password into stored from records where id = p_id;
+  if stored is null or crypt(p_password, stored) <> stored then
+    raise exception 'invalid_password' using errcode = '28P01';
+  end if;
+
+  update records set
+    date = (p_data->>'date')::date,
+    name = p_data->>'name',
+    organization = p_data->>'organization',
+    hours = (p_data->>'hours')::real,
+    location = p_data->>'location',
+    participants = p_data->>'participants',
+    description = p_data->>'description',
+    photos = array(select jsonb_array_elements_text(coalesce(p_data->'photos', '[]'::jsonb)))
+  where id = p_id;
+
+  if p_participants is not null then
+    perform set_record_participants(p_id, p_password, p_participants);
+  end if;
+end;
+$$ language plpgsql security definer set search_path = public, extensions;
+
+grant execute on function update_record(bigint, text, jsonb, jsonb) to anon, authenticated;
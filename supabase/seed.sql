@@ -0,0 +1,11 @@
+-- 로컬 테스트용 예시 데이터 (비밀번호는 모두 1234, 저장 시 트리거가 해시 처리)
+insert into records (date, name, organization, hours, location, participants, description, author_name, author_password, photos)
+values
+  ('2026-03-14', '해변 정화 활동', '해양환경공단', 3, '부산 해운대', '지민, 서연', '해변 쓰레기 줍기', '지민', '1234', '{}'),
+  ('2026-04-11', '요양원 말벗 봉사', '해피요양원', 2, '서울시 강남구', '서연, 도윤', '어르신들과 대화', '서연', '1234', '{}');
+
+insert into comments (record_id, nickname, password, content, timestamp)
+values (1, '도윤', '1234', '다음에도 참여하고 싶어요!', '2026. 3. 14. 오후 5:00:00');
+
+select set_record_participants(1, '1234', '[{"name": "지민"}, {"name": "서연"}]'::jsonb);
+select set_record_participants(2, '1234', '[{"name": "서연"}, {"name": "도윤", "hours": 1.5}]'::jsonb);